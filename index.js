@@ -1,14 +1,26 @@
 import { Popup, POPUP_TYPE, POPUP_RESULT } from '../../../popup.js';
-import { extension_settings, getContext } from '../../../extensions.js';
-import { eventSource, event_types, chat_metadata, name2, systemUserName, neutralCharacterName, characters, saveSettingsDebounced } from '../../../../script.js';
+import { extension_settings, getContext, saveMetadataDebounced } from '../../../extensions.js';
+import { eventSource, event_types, chat_metadata, name2, systemUserName, neutralCharacterName, characters, saveSettingsDebounced, main_api, stopGeneration, getRequestHeaders } from '../../../../script.js';
 import { power_user } from '../../../power-user.js';
-import { oai_settings, promptManager } from '../../../openai.js';
+import { oai_settings, openai_setting_names, promptManager, chat_completion_sources, getChatCompletionModel } from '../../../openai.js';
 import { selected_group, groups, editGroup } from '../../../group-chats.js';
+import { user_avatar } from '../../../personas.js';
+import { tags, tag_map, compareTagsForSort } from '../../../tags.js';
 import { escapeHtml } from '../../../utils.js';
+import { SlashCommandParser } from '../../../slash-commands/SlashCommandParser.js';
+import { SlashCommand } from '../../../slash-commands/SlashCommand.js';
+import { ARGUMENT_TYPE, SlashCommandArgument, SlashCommandNamedArgument } from '../../../slash-commands/SlashCommandArgument.js';
+import { SlashCommandEnumValue } from '../../../slash-commands/SlashCommandEnumValue.js';
 
 const MODULE_NAME = 'CCPM';
 const CACHE_TTL = 1000;
 
+// Single root for all CCPM data in extension_settings (chat metadata still uses MODULE_NAME)
+const SETTINGS_KEY = 'ccPromptManager';
+// Backups of the settings taken before migrations run
+const SETTINGS_BACKUP_KEY = 'ccPromptManagerBackups';
+const MAX_SETTINGS_BACKUPS = 3;
+
 const CHAT_TYPES = {
     SINGLE: 'single',
     GROUP: 'group'
@@ -18,7 +30,58 @@ const SETTING_SOURCES = {
     CHARACTER: 'character',
     CHAT: 'chat',
     GROUP: 'group',
-    GROUP_CHAT: 'group chat'
+    GROUP_CHAT: 'group chat',
+    TAG: 'tag',
+    PERSONA: 'persona',
+    CONNECTION: 'connection',
+    PRESET: 'preset',
+    DEFAULT: 'default'
+};
+
+// Lock targets that can be set from the UI and slash commands
+const LOCK_TARGETS = ['character', 'chat', 'group', 'tag', 'persona', 'connection', 'preset', 'default'];
+
+// Order in which lock sources are checked per chat type, highest priority first.
+// The global default template is always checked last.
+const DEFAULT_LOCK_PRIORITY = {
+    [CHAT_TYPES.SINGLE]: ['character', 'chat', 'persona', 'tag', 'connection', 'preset'],
+    [CHAT_TYPES.GROUP]: ['group', 'chat', 'character', 'persona', 'tag', 'connection', 'preset']
+};
+
+// Pseudo template id for the live prompts in oai_settings when comparing
+const LIVE_PROMPTS_ID = '__live__';
+
+// Number of previous versions kept per template
+const MAX_TEMPLATE_HISTORY = 20;
+
+// Number of template applications that can be undone
+const MAX_APPLY_UNDO = 5;
+
+// How applyTemplate writes a template's prompts into oai_settings.prompts
+const APPLY_MODES = {
+    REPLACE: 'replace',
+    MERGE: 'merge'
+};
+
+// How applyTemplate combines the template's prompt order with the current one
+const ORDER_MERGE_MODES = {
+    REPLACE: 'replace',
+    KEEP: 'keep',
+    MARKERS: 'markers'
+};
+
+// Types a template parameter can have
+const PARAMETER_TYPES = ['text', 'number', 'boolean', 'choice'];
+
+// Placeholder for a template parameter inside prompt contents: {{param:name}}
+const PARAMETER_PATTERN = /\{\{param:([A-Za-z_][\w-]*)\}\}/g;
+
+// What happens to an incoming template during import
+const IMPORT_ACTIONS = {
+    SKIP: 'skip',
+    OVERWRITE: 'overwrite',
+    KEEP_BOTH: 'keep',
+    MERGE: 'merge'
 };
 
 const AUTO_APPLY_MODES = {
@@ -27,931 +90,3797 @@ const AUTO_APPLY_MODES = {
     ALWAYS: 'always'
 };
 
+// What happens before a generation when the live prompts differ from the locked template
+const DRIFT_CHECK_MODES = {
+    OFF: 'off',
+    WARN: 'warn',
+    CONFIRM: 'confirm',
+    REAPPLY: 'reapply'
+};
+
 // Utility functions
 const getCurrentChatMetadata = () => chat_metadata;
+// Name of the selected chat completion preset
+const getCurrentPresetName = () => oai_settings.preset_settings_openai || null;
+// Selected chat completion source and model
+const getCurrentConnection = () => ({
+    source: oai_settings.chat_completion_source || null,
+    model: (oai_settings.chat_completion_source && getChatCompletionModel()) || '',
+});
+const deepClone = (value) => JSON.parse(JSON.stringify(value));
 
-// ===== LOCKING SYSTEM CLASSES =====
+/**
+ * JSON.stringify with sorted object keys, so equal objects produce equal strings
+ * @param {*} value
+ * @returns {string}
+ */
+function stableStringify(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(stableStringify).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).sort().filter(key => value[key] !== undefined).map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+    }
+    return JSON.stringify(value) ?? 'null';
+}
 
 /**
- * Centralized chat context detection and management
+ * FNV-1a hash of a string, as 8 hex digits
+ * @param {string} text
+ * @returns {string}
  */
-class ChatContext {
-    constructor() {
-        this.cache = new Map();
-        this.cacheTime = 0;
+function hashString(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
     }
+    return (hash >>> 0).toString(16).padStart(8, '0');
+}
 
-    getCurrent() {
-        const now = Date.now();
-        if (now - this.cacheTime < CACHE_TTL && this.cache.has('current')) {
-            return this.cache.get('current');
-        }
+/**
+ * Describe what changed between two versions of a template
+ * @param {Object} older - Older template state (name, description, prompts, promptOrder)
+ * @param {Object} newer - Newer template state
+ * @returns {string[]} Human-readable change descriptions, empty if nothing changed
+ */
+function summarizeTemplateChanges(older, newer) {
+    const changes = [];
 
-        try {
-            const context = this._buildContext();
-            this.cache.set('current', context);
-            this.cacheTime = now;
-            return context;
-        } catch (error) {
-            toastr.error('CCPM: Error building context:', error);
-            if (this.cache.has('current')) {
-                toastr.warning('CCPM: Using stale cached context due to build error');
-                return this.cache.get('current');
-            }
-            throw error;
-        }
+    if (older.name !== newer.name) {
+        changes.push(`Renamed "${older.name}" → "${newer.name}"`);
     }
-
-    invalidate() {
-        this.cache.clear();
-        this.cacheTime = 0;
+    if ((older.description || '') !== (newer.description || '')) {
+        changes.push('Description changed');
     }
 
-    _buildContext() {
-        const isGroupChat = !!selected_group;
+    const olderPrompts = older.prompts || {};
+    const newerPrompts = newer.prompts || {};
+    const promptLabel = (prompt, identifier) => prompt?.name || identifier;
 
-        if (isGroupChat) {
-            return this._buildGroupContext();
-        } else {
-            return this._buildSingleContext();
+    for (const [identifier, prompt] of Object.entries(newerPrompts)) {
+        const previous = olderPrompts[identifier];
+        if (!previous) {
+            changes.push(`Added prompt: ${promptLabel(prompt, identifier)}`);
+            continue;
+        }
+        const changedFields = [...new Set([...Object.keys(previous), ...Object.keys(prompt)])]
+            .filter(field => stableStringify(previous[field]) !== stableStringify(prompt[field]));
+        if (changedFields.length > 0) {
+            changes.push(`Edited prompt: ${promptLabel(prompt, identifier)} (${changedFields.join(', ')})`);
         }
     }
-
-    _buildGroupContext() {
-        const groupId = selected_group;
-        const group = groups?.find(x => x.id === groupId);
-
-        return {
-            type: CHAT_TYPES.GROUP,
-            isGroupChat: true,
-            groupId,
-            groupName: group?.name || null,
-            chatId: group?.chat_id || null,
-            chatName: group?.name || null,
-            characterName: group?.name || null,
-            primaryId: groupId,
-            secondaryId: group?.chat_id
-        };
+    for (const [identifier, prompt] of Object.entries(olderPrompts)) {
+        if (!newerPrompts[identifier]) {
+            changes.push(`Removed prompt: ${promptLabel(prompt, identifier)}`);
+        }
     }
 
-    _buildSingleContext() {
-        const characterName = this._getCharacterNameForSettings();
-        const chatId = this._getCurrentChatId();
+    if (stableStringify(older.parameters || []) !== stableStringify(newer.parameters || [])) {
+        changes.push('Parameters changed');
+    }
 
-        return {
-            type: CHAT_TYPES.SINGLE,
-            isGroupChat: false,
-            groupId: null,
-            groupName: null,
-            chatId,
-            chatName: chatId,
-            characterName,
-            primaryId: characterName,
-            secondaryId: chatId
-        };
+    const olderOrder = older.promptOrder || [];
+    const newerOrder = newer.promptOrder || [];
+    if (olderOrder.map(e => e.identifier).join('\n') !== newerOrder.map(e => e.identifier).join('\n')) {
+        changes.push('Prompt order changed');
+    }
+    const olderEnabled = new Map(olderOrder.map(e => [e.identifier, e.enabled]));
+    for (const entry of newerOrder) {
+        if (olderEnabled.has(entry.identifier) && olderEnabled.get(entry.identifier) !== entry.enabled) {
+            changes.push(`${entry.enabled ? 'Enabled' : 'Disabled'}: ${promptLabel(newerPrompts[entry.identifier], entry.identifier)}`);
+        }
+    }
+    const olderConditions = new Map(olderOrder.map(e => [e.identifier, stableStringify(e.conditions ?? null)]));
+    for (const entry of newerOrder) {
+        if (olderConditions.has(entry.identifier) && olderConditions.get(entry.identifier) !== stableStringify(entry.conditions ?? null)) {
+            changes.push(`Conditions changed: ${promptLabel(newerPrompts[entry.identifier], entry.identifier)}`);
+        }
     }
 
-    _getCharacterNameForSettings() {
-        let characterName = name2;
+    if ((older.promptOrderCharacterId ?? null) !== (newer.promptOrderCharacterId ?? null)) {
+        changes.push('Prompt order character ID changed');
+    }
 
-        if (!characterName || characterName === systemUserName || characterName === neutralCharacterName) {
-            characterName = this._getCharacterNameFromChatMetadata();
-        }
+    return changes;
+}
 
-        if (!characterName) {
-            return null;
-        }
+/**
+ * Line-level diff of two texts using longest common subsequence
+ * @param {string} oldText
+ * @param {string} newText
+ * @returns {Array<{type: 'same'|'added'|'removed', text: string}>}
+ */
+function diffLines(oldText, newText) {
+    const oldLines = String(oldText ?? '').split('\n');
+    const newLines = String(newText ?? '').split('\n');
+    const n = oldLines.length;
+    const m = newLines.length;
+
+    // Avoid building a huge table for very long prompts
+    if (n * m > 4000000) {
+        return [
+            ...oldLines.map(text => ({ type: 'removed', text })),
+            ...newLines.map(text => ({ type: 'added', text })),
+        ];
+    }
 
-        characterName = String(characterName).trim();
-        if (characterName.normalize) {
-            characterName = characterName.normalize('NFC');
+    const table = Array.from({ length: n + 1 }, () => new Uint32Array(m + 1));
+    for (let i = n - 1; i >= 0; i--) {
+        for (let j = m - 1; j >= 0; j--) {
+            table[i][j] = oldLines[i] === newLines[j]
+                ? table[i + 1][j + 1] + 1
+                : Math.max(table[i + 1][j], table[i][j + 1]);
         }
-
-        return characterName;
     }
 
-    _getCharacterNameFromChatMetadata() {
-        try {
-            const metadata = getCurrentChatMetadata();
-            const characterName = metadata?.character_name;
-            return characterName && typeof characterName === 'string' ? characterName.trim() : null;
-        } catch (error) {
-            return null;
+    const result = [];
+    let i = 0;
+    let j = 0;
+    while (i < n && j < m) {
+        if (oldLines[i] === newLines[j]) {
+            result.push({ type: 'same', text: oldLines[i] });
+            i++;
+            j++;
+        } else if (table[i + 1][j] >= table[i][j + 1]) {
+            result.push({ type: 'removed', text: oldLines[i++] });
+        } else {
+            result.push({ type: 'added', text: newLines[j++] });
         }
     }
+    while (i < n) result.push({ type: 'removed', text: oldLines[i++] });
+    while (j < m) result.push({ type: 'added', text: newLines[j++] });
+    return result;
+}
 
-    _getCurrentChatId() {
-        try {
-            const context = getContext();
-            return context?.chatId || null;
-        } catch (error) {
-            return null;
+/**
+ * Compare two template states (a template, snapshot or the live prompts)
+ * @param {Object} left - Baseline with prompts and promptOrder
+ * @param {Object} right - State compared against the baseline
+ * @returns {Object} Added/removed identifiers, changed prompts and prompt order differences
+ */
+function diffTemplates(left, right) {
+    const leftPrompts = left.prompts || {};
+    const rightPrompts = right.prompts || {};
+
+    const added = Object.keys(rightPrompts).filter(id => !leftPrompts[id]);
+    const removed = Object.keys(leftPrompts).filter(id => !rightPrompts[id]);
+    const changed = [];
+
+    for (const [identifier, rightPrompt] of Object.entries(rightPrompts)) {
+        const leftPrompt = leftPrompts[identifier];
+        if (!leftPrompt) continue;
+
+        const fieldChanges = [...new Set([...Object.keys(leftPrompt), ...Object.keys(rightPrompt)])]
+            .filter(field => field !== 'content' && field !== 'identifier')
+            .filter(field => stableStringify(leftPrompt[field]) !== stableStringify(rightPrompt[field]))
+            .map(field => ({ field, from: leftPrompt[field], to: rightPrompt[field] }));
+        const contentChanged = (leftPrompt.content || '') !== (rightPrompt.content || '');
+
+        if (fieldChanges.length > 0 || contentChanged) {
+            changed.push({
+                identifier,
+                name: rightPrompt.name || leftPrompt.name || identifier,
+                fieldChanges,
+                contentDiff: contentChanged ? diffLines(leftPrompt.content, rightPrompt.content) : null,
+            });
         }
     }
+
+    const leftOrder = left.promptOrder || [];
+    const rightOrder = right.promptOrder || [];
+    const leftOrderIds = leftOrder.map(e => e.identifier);
+    const rightOrderIds = rightOrder.map(e => e.identifier);
+    const leftEnabled = new Map(leftOrder.map(e => [e.identifier, e.enabled]));
+    const enabledChanges = rightOrder
+        .filter(e => leftEnabled.has(e.identifier) && leftEnabled.get(e.identifier) !== e.enabled)
+        .map(e => ({ identifier: e.identifier, from: leftEnabled.get(e.identifier), to: e.enabled }));
+
+    const sharedLeft = leftOrderIds.filter(id => rightOrderIds.includes(id));
+    const sharedRight = rightOrderIds.filter(id => leftOrderIds.includes(id));
+
+    return {
+        added,
+        removed,
+        changed,
+        order: {
+            leftOrder,
+            rightOrder,
+            addedToOrder: rightOrderIds.filter(id => !leftOrderIds.includes(id)),
+            removedFromOrder: leftOrderIds.filter(id => !rightOrderIds.includes(id)),
+            reordered: sharedLeft.join('\n') !== sharedRight.join('\n'),
+            enabledChanges,
+        },
+    };
 }
 
 /**
- * Centralized storage operations for template locking
+ * Normalize a stored lock, which is either a template id or an object with apply options
+ * @param {string|Object|null} rawLock
+ * @returns {{templateId: string, options: Object}|null}
  */
-class TemplateStorageAdapter {
-    constructor() {
-        this.EXTENSION_KEY = MODULE_NAME;
+function normalizeLockValue(rawLock) {
+    if (!rawLock) {
+        return null;
+    }
+    if (typeof rawLock === 'string') {
+        return { templateId: rawLock, options: {} };
     }
+    const { templateId, ...options } = rawLock;
+    return templateId ? { templateId, options } : null;
+}
 
-    getExtensionSettings() {
-        if (!extension_settings[this.EXTENSION_KEY]) {
-            extension_settings[this.EXTENSION_KEY] = {
-                templates: {},
-                templateLocks: {},
-                version: '1.0.0'
-            };
+/**
+ * Build the value stored for a lock; plain template ids are kept when there are no options
+ * @param {string} templateId
+ * @param {Object} [options] - Apply options such as applyMode and orderMergeMode
+ * @returns {string|Object}
+ */
+function createLockValue(templateId, options = null) {
+    const definedOptions = Object.fromEntries(Object.entries(options || {})
+        .filter(([, value]) => value !== undefined && value !== null)
+        .filter(([, value]) => typeof value !== 'object' || Object.keys(value).length > 0));
+    return Object.keys(definedOptions).length > 0 ? { templateId, ...definedOptions } : templateId;
+}
+
+/**
+ * Convert a parameter value to the parameter's type, falling back to its default
+ * @param {Object} parameter - Parameter definition
+ * @param {*} value
+ * @returns {string|number|boolean}
+ */
+function coerceParameterValue(parameter, value) {
+    if (value === undefined || value === null || value === '') {
+        return parameter.default;
+    }
+    switch (parameter.type) {
+        case 'number': {
+            const number = Number(value);
+            return Number.isFinite(number) ? number : parameter.default;
         }
-        return extension_settings[this.EXTENSION_KEY];
+        case 'boolean':
+            return value === true || value === 'true';
+        case 'choice':
+            return parameter.choices.includes(String(value)) ? String(value) : parameter.default;
+        default:
+            return String(value);
     }
+}
 
-    saveExtensionSettings() {
-        saveSettingsDebounced();
+/**
+ * Drop invalid parameter definitions and fill in defaults
+ * @param {Array} parameters
+ * @returns {Array<{name: string, type: string, default: *, choices?: string[]}>}
+ */
+function normalizeTemplateParameters(parameters) {
+    if (!Array.isArray(parameters)) {
+        return [];
     }
-
-    // Character template locks
-    getCharacterTemplateLock(characterKey) {
-        if (characterKey === undefined || characterKey === null) {
-            return null;
+    const seen = new Set();
+    const normalized = [];
+    for (const raw of parameters) {
+        const name = typeof raw?.name === 'string' ? raw.name.trim() : '';
+        if (!/^[A-Za-z_][\w-]*$/.test(name) || seen.has(name)) {
+            continue;
+        }
+        seen.add(name);
+        const type = PARAMETER_TYPES.includes(raw.type) ? raw.type : 'text';
+        const parameter = { name, type };
+        if (type === 'choice') {
+            parameter.choices = Array.isArray(raw.choices) ? [...new Set(raw.choices.map(String).filter(Boolean))] : [];
         }
+        const fallback = { text: '', number: 0, boolean: false, choice: parameter.choices?.[0] ?? '' }[type];
+        parameter.default = coerceParameterValue({ ...parameter, default: fallback }, raw.default);
+        normalized.push(parameter);
+    }
+    return normalized;
+}
 
-        const extensionSettings = this.getExtensionSettings();
-        const chIdKey = String(characterKey);
-        return extensionSettings.templateLocks?.character?.[chIdKey] || null;
+/**
+ * Get the value of every parameter, using the given values where valid and defaults otherwise
+ * @param {Array} parameters - Parameter definitions
+ * @param {Object} [values] - Values keyed by parameter name
+ * @returns {Object} Values keyed by parameter name
+ */
+function resolveParameterValues(parameters, values = {}) {
+    return Object.fromEntries(parameters.map(parameter => [parameter.name, coerceParameterValue(parameter, values?.[parameter.name])]));
+}
+
+/**
+ * Replace {{param:name}} placeholders; placeholders of unknown parameters are left as they are
+ * @param {string} text
+ * @param {Object} values - Values keyed by parameter name
+ * @returns {string}
+ */
+function substituteParameters(text, values) {
+    if (typeof text !== 'string') {
+        return text;
     }
+    return text.replace(PARAMETER_PATTERN, (match, name) => Object.hasOwn(values, name) ? String(values[name]) : match);
+}
 
-    setCharacterTemplateLock(characterKey, templateId) {
-        if (characterKey === undefined || characterKey === null) {
-            return false;
+/**
+ * Parse parameter definitions written one per line as `name: type = default`,
+ * with `choice(a|b|c)` for choices
+ * @param {string} text
+ * @returns {{parameters: Array, errors: string[]}}
+ */
+function parseParameterDefinitions(text) {
+    const parameters = [];
+    const errors = [];
+    for (const line of text.split('\n').map(l => l.trim()).filter(Boolean)) {
+        const match = line.match(/^([A-Za-z_][\w-]*)\s*(?::\s*(text|number|boolean|choice)\s*(?:\(([^)]*)\))?)?\s*(?:=\s*(.*))?$/);
+        if (!match) {
+            errors.push(`Invalid parameter: ${line}`);
+            continue;
         }
+        const [, name, type = 'text', choices, defaultValue] = match;
+        if (type === 'choice' && !choices) {
+            errors.push(`Choice parameter "${name}" needs options, e.g. ${name}: choice(a|b)`);
+            continue;
+        }
+        parameters.push({
+            name,
+            type,
+            default: defaultValue,
+            ...(type === 'choice' ? { choices: choices.split('|').map(c => c.trim()) } : {}),
+        });
+    }
+    return { parameters: normalizeTemplateParameters(parameters), errors };
+}
 
-        const extensionSettings = this.getExtensionSettings();
+/**
+ * Write parameter definitions in the format read by parseParameterDefinitions
+ * @param {Array} parameters
+ * @returns {string}
+ */
+function formatParameterDefinitions(parameters) {
+    return parameters.map(p => `${p.name}: ${p.type}${p.type === 'choice' ? `(${p.choices.join('|')})` : ''} = ${p.default}`).join('\n');
+}
 
-        if (!extensionSettings.templateLocks) {
-            extensionSettings.templateLocks = {};
-        }
-        if (!extensionSettings.templateLocks.character) {
-            extensionSettings.templateLocks.character = {};
+/**
+ * Drop empty or invalid parts of a prompt order entry's conditions
+ * @param {Object} conditions - Raw conditions (chatType, characters, apiSources)
+ * @returns {{chatType?: string, characters?: string[], apiSources?: string[]}|null} Null when no condition is left
+ */
+function normalizePromptConditions(conditions) {
+    if (!conditions || typeof conditions !== 'object') {
+        return null;
+    }
+    const normalized = {};
+    if (Object.values(CHAT_TYPES).includes(conditions.chatType)) {
+        normalized.chatType = conditions.chatType;
+    }
+    for (const field of ['characters', 'apiSources']) {
+        const values = Array.isArray(conditions[field])
+            ? [...new Set(conditions[field].map(value => String(value).trim()).filter(Boolean))]
+            : [];
+        if (values.length > 0) {
+            normalized[field] = values;
         }
+    }
+    return Object.keys(normalized).length > 0 ? normalized : null;
+}
 
-        const saveKey = String(characterKey);
-        extensionSettings.templateLocks.character[saveKey] = templateId;
-        this.saveExtensionSettings();
+/**
+ * Check a prompt order entry's conditions; every condition that is set has to match
+ * @param {Object|null} conditions - Normalized conditions
+ * @param {{chatType: string, characters: string[], apiSource: string|null}} conditionContext
+ * @returns {boolean}
+ */
+function evaluatePromptConditions(conditions, conditionContext) {
+    if (!conditions) {
         return true;
     }
+    if (conditions.chatType && conditions.chatType !== conditionContext.chatType) {
+        return false;
+    }
+    if (conditions.characters && !conditions.characters.some(name => conditionContext.characters.includes(name))) {
+        return false;
+    }
+    if (conditions.apiSources && !conditions.apiSources.includes(conditionContext.apiSource)) {
+        return false;
+    }
+    return true;
+}
 
-    deleteCharacterTemplateLock(characterKey) {
-        if (characterKey === undefined || characterKey === null) {
-            return false;
-        }
-
-        const extensionSettings = this.getExtensionSettings();
-        const chIdKey = String(characterKey);
+/**
+ * Describe a prompt order entry's conditions for display
+ * @param {Object|null} conditions - Normalized conditions
+ * @returns {string}
+ */
+function describePromptConditions(conditions) {
+    if (!conditions) {
+        return '';
+    }
+    const parts = [];
+    if (conditions.chatType) {
+        parts.push(conditions.chatType === CHAT_TYPES.GROUP ? 'group chats' : 'single chats');
+    }
+    if (conditions.characters) {
+        parts.push(`characters: ${conditions.characters.join(', ')}`);
+    }
+    if (conditions.apiSources) {
+        parts.push(`API: ${conditions.apiSources.join(', ')}`);
+    }
+    return `Only enabled in ${parts.join('; ')}`;
+}
 
-        if (extensionSettings.templateLocks?.character?.[chIdKey]) {
-            delete extensionSettings.templateLocks.character[chIdKey];
-            this.saveExtensionSettings();
-            return true;
-        }
+/**
+ * Resolve conditional entries of a template's prompt order: an entry with conditions stays
+ * enabled only when they match. The result has no conditions, as ST expects.
+ * @param {Array} promptOrder - Template prompt order
+ * @param {Object} conditionContext - See evaluatePromptConditions
+ * @returns {Array} New prompt order entries
+ */
+function resolveConditionalOrder(promptOrder, conditionContext) {
+    return deepClone(promptOrder).map(({ conditions, ...entry }) => (
+        conditions ? { ...entry, enabled: !!entry.enabled && evaluatePromptConditions(normalizePromptConditions(conditions), conditionContext) } : entry
+    ));
+}
 
+/**
+ * Match a model name against a connection lock's model pattern: `*` wildcards, or a
+ * regular expression written as /.../. Matching is case-insensitive; an empty pattern
+ * matches every model.
+ * @param {string} pattern
+ * @param {string} model
+ * @returns {boolean}
+ */
+function matchesModelPattern(pattern, model) {
+    if (!pattern) {
+        return true;
+    }
+    const regexLiteral = pattern.match(/^\/(.+)\/$/);
+    try {
+        const regex = regexLiteral
+            ? new RegExp(regexLiteral[1], 'i')
+            : new RegExp(`^${pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*')}$`, 'i');
+        return regex.test(model || '');
+    } catch {
         return false;
     }
+}
 
-    // Group template locks
-    getGroupTemplateLock(groupId) {
-        if (!groupId) {
-            return null;
-        }
+/**
+ * Complete a user-ordered lock priority chain: drop unknown and duplicate targets and insert
+ * missing ones after their neighbor in the default chain
+ * @param {string[]|undefined} order - Lock targets, highest priority first
+ * @param {string} chatType - CHAT_TYPES value
+ * @returns {string[]}
+ */
+function normalizeLockPriority(order, chatType) {
+    const defaults = DEFAULT_LOCK_PRIORITY[chatType];
+    const result = [...new Set((Array.isArray(order) ? order : []).filter(target => defaults.includes(target)))];
 
-        try {
-            const group = groups?.find(x => x.id === groupId);
-            return group?.ccpm_template_lock || null;
-        } catch (error) {
-            toastr.warning('CCPM: Error getting group template lock:', error);
-            return null;
-        }
-    }
+    defaults.forEach((target, index) => {
+        if (result.includes(target)) return;
+        const previous = defaults.slice(0, index).reverse().find(t => result.includes(t));
+        result.splice(previous ? result.indexOf(previous) + 1 : 0, 0, target);
+    });
 
-    async setGroupTemplateLock(groupId, templateId) {
-        if (!groupId) {
-            return false;
-        }
+    return result;
+}
 
-        try {
-            const group = groups?.find(x => x.id === groupId);
-            if (!group) {
-                toastr.warning('CCPM: Cannot save group template lock - group not found');
-                return false;
-            }
+/**
+ * Whether parsed JSON is a SillyTavern chat-completion preset (or a fragment with its prompts)
+ * @param {*} data
+ * @returns {boolean}
+ */
+function isChatCompletionPreset(data) {
+    return !!data && typeof data === 'object' && Array.isArray(data.prompts) && Array.isArray(data.prompt_order);
+}
 
-            group.ccpm_template_lock = templateId;
-            await editGroup(groupId, false, false);
-            return true;
-        } catch (error) {
-            toastr.error('CCPM: Error saving group template lock:', error);
-            return false;
-        }
-    }
-
-    async deleteGroupTemplateLock(groupId) {
-        if (!groupId) {
-            return false;
-        }
+/**
+ * Fill in defaults for apply options: merge mode defaults to marker-anchored ordering
+ * @param {Object} [options]
+ * @returns {{applyMode: string, orderMergeMode: string}}
+ */
+function resolveApplyOptions(options = {}) {
+    const applyMode = options.applyMode === APPLY_MODES.MERGE ? APPLY_MODES.MERGE : APPLY_MODES.REPLACE;
+    const orderMergeMode = Object.values(ORDER_MERGE_MODES).includes(options.orderMergeMode)
+        ? options.orderMergeMode
+        : (applyMode === APPLY_MODES.MERGE ? ORDER_MERGE_MODES.MARKERS : ORDER_MERGE_MODES.REPLACE);
+    return { applyMode, orderMergeMode };
+}
 
-        try {
-            const group = groups?.find(x => x.id === groupId);
-            if (group?.ccpm_template_lock) {
-                delete group.ccpm_template_lock;
-                await editGroup(groupId, false, false);
-                return true;
-            }
-            return false;
-        } catch (error) {
-            toastr.error('CCPM: Error deleting group template lock:', error);
-            return false;
-        }
+/**
+ * Combine a template's prompt order with the current one
+ * @param {Array} currentOrder - Current prompt_order entries
+ * @param {Array} templateOrder - Template's prompt order entries
+ * @param {string} mode - One of ORDER_MERGE_MODES
+ * @param {function(string): boolean} isMarker - Whether an identifier is a marker prompt
+ * @returns {Array} New prompt order entries
+ */
+function mergePromptOrder(currentOrder, templateOrder, mode, isMarker) {
+    if (mode === ORDER_MERGE_MODES.KEEP) {
+        return deepClone(currentOrder);
+    }
+    if (mode !== ORDER_MERGE_MODES.MARKERS) {
+        return deepClone(templateOrder);
     }
 
-    // Chat template locks
-    getChatTemplateLock() {
-        try {
-            const metadata = getCurrentChatMetadata();
-            return metadata?.[this.EXTENSION_KEY]?.templateLock || null;
-        } catch (error) {
-            toastr.warning('CCPM: Error getting chat template lock:', error);
-            return null;
+    // Markers present in both orders are anchors: they keep their current position and
+    // enabled flag, and the template's other entries are placed after the anchor that
+    // precedes them in the template (entries before the first anchor go right before it)
+    const currentIds = new Set(currentOrder.map(e => e.identifier));
+    const anchorIds = new Set(templateOrder.filter(e => isMarker(e.identifier) && currentIds.has(e.identifier)).map(e => e.identifier));
+    const templateIds = new Set(templateOrder.map(e => e.identifier));
+    const result = deepClone(currentOrder.filter(e => !templateIds.has(e.identifier) || anchorIds.has(e.identifier)));
+
+    const firstAnchor = templateOrder.find(e => anchorIds.has(e.identifier));
+    let cursor = firstAnchor ? result.findIndex(e => e.identifier === firstAnchor.identifier) : result.length;
+
+    for (const entry of templateOrder) {
+        if (anchorIds.has(entry.identifier)) {
+            cursor = result.findIndex(e => e.identifier === entry.identifier) + 1;
+            continue;
         }
+        result.splice(cursor, 0, deepClone(entry));
+        cursor++;
     }
 
-    setChatTemplateLock(templateId) {
-        try {
-            const metadata = getCurrentChatMetadata();
-            if (!metadata) {
-                toastr.warning('CCPM: Cannot save chat template lock - no chat metadata available');
-                return false;
-            }
+    return result;
+}
 
-            if (!metadata[this.EXTENSION_KEY]) {
-                metadata[this.EXTENSION_KEY] = {};
-            }
-            metadata[this.EXTENSION_KEY].templateLock = templateId;
-            this._triggerMetadataSave();
-            return true;
-        } catch (error) {
-            toastr.error('CCPM: Error saving chat template lock:', error);
-            return false;
-        }
-    }
+/**
+ * Lay a child template's explicit prompt order over its parent's, so entries added to the
+ * parent later still show up: parent entries missing from the child order are inserted after
+ * the parent entry that precedes them
+ * @param {Array} parentOrder - Resolved prompt order of the parent
+ * @param {Array} childOrder - Prompt order stored by the child
+ * @param {Set<string>} removedIds - Identifiers the child removed
+ * @returns {Array} New prompt order entries
+ */
+function overlayPromptOrder(parentOrder, childOrder, removedIds) {
+    const result = deepClone(childOrder);
+    const childIds = new Set(childOrder.map(e => e.identifier));
 
-    deleteChatTemplateLock() {
-        try {
-            const metadata = getCurrentChatMetadata();
-            if (metadata?.[this.EXTENSION_KEY]?.templateLock) {
-                delete metadata[this.EXTENSION_KEY].templateLock;
-                this._triggerMetadataSave();
-                return true;
+    parentOrder.forEach((entry, index) => {
+        if (childIds.has(entry.identifier) || removedIds.has(entry.identifier)) {
+            return;
+        }
+        let cursor = 0;
+        for (let i = index - 1; i >= 0; i--) {
+            const previousIndex = result.findIndex(e => e.identifier === parentOrder[i].identifier);
+            if (previousIndex !== -1) {
+                cursor = previousIndex + 1;
+                break;
             }
-            return false;
-        } catch (error) {
-            toastr.error('CCPM: Error deleting chat template lock:', error);
-            return false;
         }
-    }
+        result.splice(cursor, 0, deepClone(entry));
+    });
 
-    // Group chat template locks
-    getGroupChatTemplateLock(groupId) {
-        if (!groupId) {
-            return null;
-        }
+    return result;
+}
 
-        try {
-            return (typeof chat_metadata !== 'undefined') ? chat_metadata[this.EXTENSION_KEY]?.templateLock || null : null;
-        } catch (error) {
-            toastr.warning('CCPM: Error getting group chat template lock:', error);
-            return null;
+/**
+ * Resolve a child template's content from its parent's resolved content and its overrides
+ * @param {Object} parent - Resolved parent (prompts, promptOrder, promptOrderCharacterId)
+ * @param {Object} overrides - Child overrides
+ * @returns {{prompts: Object, promptOrder: Array, promptOrderCharacterId: (number|string|null), parameters: Array}}
+ */
+function resolveTemplateOverrides(parent, overrides) {
+    const removedIds = new Set(overrides.removedPrompts);
+    const prompts = {};
+    for (const [identifier, prompt] of Object.entries(parent.prompts)) {
+        if (!removedIds.has(identifier)) {
+            prompts[identifier] = deepClone(prompt);
         }
     }
-
-    async setGroupChatTemplateLock(groupId, templateId) {
-        if (!groupId) {
-            return false;
-        }
-
-        try {
-            if (typeof chat_metadata !== 'undefined') {
-                if (!chat_metadata[this.EXTENSION_KEY]) {
-                    chat_metadata[this.EXTENSION_KEY] = {};
-                }
-                chat_metadata[this.EXTENSION_KEY].templateLock = templateId;
-                return true;
+    Object.assign(prompts, deepClone(overrides.prompts));
+
+    let promptOrder;
+    if (overrides.promptOrder.length > 0) {
+        promptOrder = overlayPromptOrder(parent.promptOrder, overrides.promptOrder, removedIds);
+    } else {
+        // Inherited order; prompts the child added go at the end
+        promptOrder = deepClone(parent.promptOrder.filter(e => !removedIds.has(e.identifier)));
+        for (const identifier of Object.keys(overrides.prompts)) {
+            if (!parent.prompts[identifier] && !promptOrder.some(e => e.identifier === identifier)) {
+                promptOrder.push({ identifier, enabled: true });
             }
-            return false;
-        } catch (error) {
-            toastr.error('CCPM: Error saving group chat template lock:', error);
-            return false;
         }
     }
-
-    async deleteGroupChatTemplateLock(groupId) {
-        if (!groupId) {
-            return false;
+    for (const entry of promptOrder) {
+        if (Object.hasOwn(overrides.enabledOverrides, entry.identifier)) {
+            entry.enabled = overrides.enabledOverrides[entry.identifier];
         }
+    }
 
-        try {
-            if (typeof chat_metadata !== 'undefined' && chat_metadata[this.EXTENSION_KEY]?.templateLock) {
-                delete chat_metadata[this.EXTENSION_KEY].templateLock;
-                return true;
-            }
-            return false;
-        } catch (error) {
-            toastr.error('CCPM: Error deleting group chat template lock:', error);
-            return false;
+    // Parameters the child declares replace the parent's parameters of the same name
+    const childParameters = overrides.parameters || [];
+    const removedParameters = new Set(overrides.removedParameters);
+    const parameters = [
+        ...(parent.parameters || []).filter(p => !removedParameters.has(p.name) && !childParameters.some(c => c.name === p.name)),
+        ...childParameters,
+    ];
+
+    return {
+        prompts,
+        promptOrder,
+        promptOrderCharacterId: overrides.promptOrderCharacterId ?? parent.promptOrderCharacterId,
+        parameters: deepClone(parameters),
+    };
+}
+
+/**
+ * Compute the overrides that turn a parent's resolved content into a child's resolved content
+ * @param {Object} parent - Resolved parent (prompts, promptOrder, promptOrderCharacterId)
+ * @param {Object} child - Resolved child content
+ * @returns {Object} Overrides (prompts, removedPrompts, promptOrder, enabledOverrides, parameters, removedParameters, promptOrderCharacterId)
+ */
+function computeTemplateOverrides(parent, child) {
+    const prompts = {};
+    for (const [identifier, prompt] of Object.entries(child.prompts)) {
+        if (!parent.prompts[identifier] || stableStringify(parent.prompts[identifier]) !== stableStringify(prompt)) {
+            prompts[identifier] = deepClone(prompt);
         }
     }
+    const removedPrompts = Object.keys(parent.prompts).filter(identifier => !child.prompts[identifier]);
+
+    // Keep inheriting the parent's order when only enabled flags differ
+    const inherited = resolveTemplateOverrides(parent, { prompts, removedPrompts, promptOrder: [], enabledOverrides: {} });
+    // Conditions live on order entries, so changing them also needs an explicit order
+    const sameSequence = inherited.promptOrder.map(e => e.identifier).join('\n') === child.promptOrder.map(e => e.identifier).join('\n')
+        && child.promptOrder.every((entry, index) => stableStringify(entry.conditions ?? null) === stableStringify(inherited.promptOrder[index].conditions ?? null));
+    const enabledOverrides = {};
+    if (sameSequence) {
+        child.promptOrder.forEach((entry, index) => {
+            if (inherited.promptOrder[index].enabled !== entry.enabled) {
+                enabledOverrides[entry.identifier] = entry.enabled;
+            }
+        });
+    }
 
-    _triggerMetadataSave() {
-        try {
-            saveMetadataDebounced();
-        } catch (error) {
-            toastr.error('CCPM: Error triggering metadata save:', error);
-        }
+    const parentParameters = parent.parameters || [];
+    const childParameters = child.parameters || [];
+    const overrides = {
+        prompts,
+        removedPrompts,
+        promptOrder: sameSequence ? [] : deepClone(child.promptOrder),
+        enabledOverrides,
+        parameters: deepClone(childParameters.filter(p => stableStringify(parentParameters.find(pp => pp.name === p.name)) !== stableStringify(p))),
+        removedParameters: parentParameters.map(p => p.name).filter(name => !childParameters.some(p => p.name === name)),
+    };
+    if ((child.promptOrderCharacterId ?? null) !== (parent.promptOrderCharacterId ?? null)) {
+        overrides.promptOrderCharacterId = child.promptOrderCharacterId;
     }
+    return overrides;
 }
 
+// ===== SETTINGS MIGRATIONS =====
+
 /**
- * Template lock priority resolution
+ * Ordered settings migrations. Each one upgrades the settings root from `version - 1` to `version`.
+ * Migrations marked `requiresAppReady` need characters and groups to be loaded; they and every
+ * later migration are deferred until APP_READY.
  */
-class TemplateLockResolver {
-    constructor(extensionSettings) {
-        this.extensionSettings = extensionSettings;
-    }
+const SETTINGS_MIGRATIONS = [
+    {
+        version: 1,
+        description: 'Move template locks from extension_settings.CCPM into the unified settings root',
+        migrate(settings) {
+            const legacy = extension_settings[MODULE_NAME];
+            if (legacy) {
+                const legacyLocks = legacy.templateLocks || {};
+                settings.templateLocks = settings.templateLocks || {};
+                for (const [source, locks] of Object.entries(legacyLocks)) {
+                    settings.templateLocks[source] = { ...locks, ...(settings.templateLocks[source] || {}) };
+                }
+                if (legacy.characterLocksKeyedByAvatar) {
+                    settings.characterLocksKeyedByAvatar = true;
+                }
+                delete extension_settings[MODULE_NAME];
+            }
+            // The old version string was never read
+            delete settings.version;
+        },
+    },
+    {
+        version: 2,
+        description: 'Replace autoApplyLocked with autoApplyMode',
+        migrate(settings) {
+            if (settings.autoApplyLocked && !settings.autoApplyMode) {
+                const oldValue = settings.autoApplyLocked;
+                settings.autoApplyMode = oldValue === 'auto' ? AUTO_APPLY_MODES.ALWAYS : oldValue === 'ask' ? AUTO_APPLY_MODES.ASK : AUTO_APPLY_MODES.NEVER;
+            }
+            delete settings.autoApplyLocked;
+        },
+    },
+    {
+        version: 3,
+        description: 'Key character locks by avatar filename instead of character index or name',
+        requiresAppReady: true,
+        migrate(settings) {
+            if (settings.characterLocksKeyedByAvatar) {
+                delete settings.characterLocksKeyedByAvatar;
+                return;
+            }
 
-    resolve(context, availableLocks) {
-        if (context.isGroupChat) {
-            return this._resolveGroupLocks(context, availableLocks);
-        } else {
-            return this._resolveSingleLocks(context, availableLocks);
-        }
-    }
+            const locks = settings.templateLocks?.character || {};
+            const avatars = new Set((characters || []).map(x => x.avatar));
+            const migrated = [];
+            const unresolved = [];
 
-    _resolveGroupLocks(context, locks) {
-        const prefs = this.extensionSettings;
-        const { group, chat, character } = locks;
+            for (const [key, lockValue] of Object.entries(locks)) {
+                if (avatars.has(key)) {
+                    continue;
+                }
 
-        // Use user-defined priorities for group chats
-        if (prefs.preferIndividualCharacterInGroup && character) {
-            return { templateId: character, source: SETTING_SOURCES.CHARACTER };
-        }
+                // Index keys map to the character currently at that position
+                let character = /^\d+$/.test(key) ? characters[Number(key)] : null;
+                if (!character) {
+                    const byName = (characters || []).filter(x => x.name === key);
+                    character = byName.length === 1 ? byName[0] : null;
+                }
 
-        if (prefs.preferGroupOverChat) {
-            if (group) return { templateId: group, source: SETTING_SOURCES.GROUP };
-            if (chat) return { templateId: chat, source: `${SETTING_SOURCES.GROUP_CHAT} (fallback)` };
-            if (character) return { templateId: character, source: `${SETTING_SOURCES.CHARACTER} (fallback)` };
-        } else {
-            if (chat) return { templateId: chat, source: SETTING_SOURCES.GROUP_CHAT };
-            if (group) return { templateId: group, source: `${SETTING_SOURCES.GROUP} (fallback)` };
-            if (character) return { templateId: character, source: `${SETTING_SOURCES.CHARACTER} (fallback)` };
-        }
+                if (!character?.avatar) {
+                    unresolved.push(key);
+                    continue;
+                }
 
-        return { templateId: null, source: 'none' };
-    }
+                // Never overwrite a lock that is already keyed by avatar
+                if (!(character.avatar in locks)) {
+                    locks[character.avatar] = lockValue;
+                }
+                delete locks[key];
+                migrated.push({ from: key, to: character.avatar });
+            }
+
+            if (migrated.length > 0) {
+                console.log('CCPM: Migrated character lock keys to avatar filenames:', migrated);
+            }
+            if (unresolved.length > 0) {
+                console.warn('CCPM: Could not match character locks to a character:', unresolved);
+                toastr.warning(
+                    `${unresolved.length} character lock(s) could not be matched to a character and were not migrated: ${unresolved.join(', ')}`,
+                    'CCPM',
+                    { timeOut: 0, extendedTimeOut: 0, closeButton: true }
+                );
+            }
+        },
+    },
+    {
+        version: 4,
+        description: 'Replace the lock priority preferences with priority chains',
+        migrate(settings) {
+            const legacyKeys = ['preferCharacterOverChat', 'preferGroupOverChat', 'preferIndividualCharacterInGroup', 'personaLockPriority'];
+            if (!legacyKeys.some(key => key in settings)) {
+                return;
+            }
 
-    _resolveSingleLocks(context, locks) {
-        const prefs = this.extensionSettings;
-        const { character, chat } = locks;
+            const preferCharacterOverChat = settings.preferCharacterOverChat ?? true;
+            const preferGroupOverChat = settings.preferGroupOverChat ?? true;
+            const preferIndividualCharacterInGroup = settings.preferIndividualCharacterInGroup ?? false;
 
-        // Use user-defined priority for single chats
-        if (prefs.preferCharacterOverChat) {
-            if (character) return { templateId: character, source: SETTING_SOURCES.CHARACTER };
-            if (chat) return { templateId: chat, source: `${SETTING_SOURCES.CHAT} (fallback)` };
-        } else {
-            if (chat) return { templateId: chat, source: SETTING_SOURCES.CHAT };
-            if (character) return { templateId: character, source: `${SETTING_SOURCES.CHARACTER} (fallback)` };
-        }
+            const single = preferCharacterOverChat ? ['character', 'chat'] : ['chat', 'character'];
+            const group = preferGroupOverChat ? ['group', 'chat'] : ['chat', 'group'];
+            if (preferIndividualCharacterInGroup) {
+                group.unshift('character');
+            } else {
+                group.push('character');
+            }
 
-        return { templateId: null, source: 'none' };
+            // Persona locks ranked above all ('high'), after the first ('middle') or after all ('low') direct locks
+            const personaIndex = { high: 0, middle: 1 }[settings.personaLockPriority];
+            for (const chain of [single, group]) {
+                chain.splice(personaIndex ?? chain.length, 0, 'persona');
+                chain.push('tag', 'connection', 'preset');
+            }
+
+            settings.lockPriority = { [CHAT_TYPES.SINGLE]: single, [CHAT_TYPES.GROUP]: group };
+            for (const key of legacyKeys) {
+                delete settings[key];
+            }
+        },
+    },
+];
+
+const SETTINGS_SCHEMA_VERSION = SETTINGS_MIGRATIONS[SETTINGS_MIGRATIONS.length - 1].version;
+
+/**
+ * Get the CCPM settings root, creating it for fresh installs
+ * @returns {Object}
+ */
+function getSettingsRoot() {
+    if (!extension_settings[SETTINGS_KEY]) {
+        // Fresh installs start at the current schema; legacy CCPM data is picked up by the migrations
+        extension_settings[SETTINGS_KEY] = {
+            schemaVersion: extension_settings[MODULE_NAME] ? 0 : SETTINGS_SCHEMA_VERSION
+        };
     }
+    return extension_settings[SETTINGS_KEY];
 }
 
 /**
- * Main template lock manager
+ * Copy the settings root for a migration backup, leaving out template version history,
+ * which migrations don't touch and which makes up most of the settings size
+ * @param {Object} settings - Settings root
+ * @returns {Object}
  */
-class TemplateLockManager {
-    constructor(storage) {
-        this.storage = storage;
-        this.lockResolver = new TemplateLockResolver(storage.getExtensionSettings());
-        this.chatContext = new ChatContext();
-        this.currentLocks = this._getEmptyLocks();
+function cloneSettingsForBackup(settings) {
+    const backup = deepClone({ ...settings, templates: {} });
+    for (const [id, template] of Object.entries(settings.templates || {})) {
+        const copy = { ...template };
+        delete copy.history;
+        backup.templates[id] = deepClone(copy);
     }
+    return backup;
+}
 
-    _getEmptyLocks() {
-        return {
-            character: null,
-            chat: null,
-            group: null
-        };
+/**
+ * Run pending settings migrations in order, backing up the previous shape first
+ * @param {Object} [options]
+ * @param {boolean} [options.appReady=false] - Whether characters and groups are loaded
+ * @returns {boolean} Whether any migration ran
+ */
+function runSettingsMigrations({ appReady = false } = {}) {
+    const settings = getSettingsRoot();
+    const fromVersion = settings.schemaVersion ?? 0;
+    const pending = SETTINGS_MIGRATIONS.filter(m => m.version > fromVersion);
+    const runnable = [];
+    for (const migration of pending) {
+        if (migration.requiresAppReady && !appReady) break;
+        runnable.push(migration);
+    }
+    if (runnable.length === 0) {
+        return false;
     }
 
-    async loadCurrentLocks() {
-        const context = this.chatContext.getCurrent();
-        this.currentLocks = this._getEmptyLocks();
+    // Deferred migrations continue an upgrade that was already backed up at its starting version
+    const backups = extension_settings[SETTINGS_BACKUP_KEY] || [];
+    const isBackedUp = backups.some(backup => backup.schemaVersion === fromVersion
+        || (backup.targetVersion === SETTINGS_SCHEMA_VERSION && backup.schemaVersion < fromVersion));
+    if (!isBackedUp) {
+        backups.push({
+            schemaVersion: fromVersion,
+            targetVersion: SETTINGS_SCHEMA_VERSION,
+            backedUpAt: new Date().toISOString(),
+            settings: cloneSettingsForBackup(settings),
+            legacySettings: extension_settings[MODULE_NAME] ? deepClone(extension_settings[MODULE_NAME]) : null,
+        });
+        extension_settings[SETTINGS_BACKUP_KEY] = backups.slice(-MAX_SETTINGS_BACKUPS);
+    }
 
-        if (context.isGroupChat) {
-            this._loadGroupLocks(context);
-        } else {
-            this._loadSingleLocks(context);
+    for (const migration of runnable) {
+        try {
+            migration.migrate(settings);
+            settings.schemaVersion = migration.version;
+            console.log(`CCPM: Settings migrated to schema v${migration.version}: ${migration.description}`);
+        } catch (error) {
+            console.error(`CCPM: Settings migration v${migration.version} failed:`, error);
+            toastr.error(`CCPM: Settings migration v${migration.version} failed. A backup is stored in extension_settings.${SETTINGS_BACKUP_KEY}.`);
+            break;
         }
-
-        return this.currentLocks;
     }
 
-    _loadGroupLocks(context) {
-        if (context.groupId) {
-            this.currentLocks.group = this.storage.getGroupTemplateLock(context.groupId);
-            this.currentLocks.chat = this.storage.getGroupChatTemplateLock(context.groupId);
-        }
+    saveSettingsDebounced();
+    return true;
+}
 
-        // Load character lock for the primary character in the group
-        if (context.characterName) {
-            const chId = characters?.findIndex(x => x.name === context.characterName);
-            const characterKey = chId !== -1 ? chId : context.characterName;
-            this.currentLocks.character = this.storage.getCharacterTemplateLock(characterKey);
-        }
+// ===== LOCKING SYSTEM CLASSES =====
+
+/**
+ * Centralized chat context detection and management
+ */
+class ChatContext {
+    constructor() {
+        this.cache = new Map();
+        this.cacheTime = 0;
     }
 
-    _loadSingleLocks(context) {
-        if (context.characterName) {
-            const chId = characters?.findIndex(x => x.name === context.characterName);
-            const characterKey = chId !== -1 ? chId : context.characterName;
-            this.currentLocks.character = this.storage.getCharacterTemplateLock(characterKey);
+    getCurrent() {
+        const now = Date.now();
+        if (now - this.cacheTime < CACHE_TTL && this.cache.has('current')) {
+            return this.cache.get('current');
         }
 
-        if (context.chatId) {
-            this.currentLocks.chat = this.storage.getChatTemplateLock();
+        try {
+            const context = this._buildContext();
+            this.cache.set('current', context);
+            this.cacheTime = now;
+            return context;
+        } catch (error) {
+            toastr.error('CCPM: Error building context:', error);
+            if (this.cache.has('current')) {
+                toastr.warning('CCPM: Using stale cached context due to build error');
+                return this.cache.get('current');
+            }
+            throw error;
         }
     }
 
-    async getLockToApply() {
-        const context = this.chatContext.getCurrent();
-        // Pass extension settings to resolver for priority preferences
-        const settings = this.storage.getExtensionSettings();
-        this.lockResolver = new TemplateLockResolver(settings);
-        return this.lockResolver.resolve(context, this.currentLocks);
+    invalidate() {
+        this.cache.clear();
+        this.cacheTime = 0;
     }
 
-    async setLock(target, templateId) {
-        const context = this.chatContext.getCurrent();
-        let success = false;
+    _buildContext() {
+        const isGroupChat = !!selected_group;
 
-        switch (target) {
-            case 'character':
-                if (context.characterName) {
-                    const chId = characters?.findIndex(x => x.name === context.characterName);
-                    const characterKey = chId !== -1 ? chId : context.characterName;
-                    success = this.storage.setCharacterTemplateLock(characterKey, templateId);
-                    if (success) this.currentLocks.character = templateId;
-                }
-                break;
-            case 'chat':
-                if (context.isGroupChat) {
-                    success = await this.storage.setGroupChatTemplateLock(context.groupId, templateId);
-                } else {
-                    success = this.storage.setChatTemplateLock(templateId);
-                }
-                if (success) this.currentLocks.chat = templateId;
-                break;
-            case 'group':
-                if (context.isGroupChat && context.groupId) {
-                    success = await this.storage.setGroupTemplateLock(context.groupId, templateId);
-                    if (success) this.currentLocks.group = templateId;
-                }
-                break;
+        if (isGroupChat) {
+            return this._buildGroupContext();
+        } else {
+            return this._buildSingleContext();
         }
+    }
 
-        return success;
+    _buildGroupContext() {
+        const groupId = selected_group;
+        const group = groups?.find(x => x.id === groupId);
+
+        return {
+            type: CHAT_TYPES.GROUP,
+            isGroupChat: true,
+            groupId,
+            groupName: group?.name || null,
+            chatId: group?.chat_id || null,
+            chatName: group?.name || null,
+            characterName: group?.name || null,
+            characterAvatar: null,
+            primaryId: groupId,
+            secondaryId: group?.chat_id
+        };
     }
 
-    async clearLock(target) {
-        const context = this.chatContext.getCurrent();
-        let success = false;
+    _buildSingleContext() {
+        const characterName = this._getCharacterNameForSettings();
+        const chatId = this._getCurrentChatId();
 
-        switch (target) {
-            case 'character':
-                if (context.characterName) {
-                    const chId = characters?.findIndex(x => x.name === context.characterName);
-                    const characterKey = chId !== -1 ? chId : context.characterName;
-                    success = this.storage.deleteCharacterTemplateLock(characterKey);
-                    if (success) this.currentLocks.character = null;
-                }
-                break;
-            case 'chat':
-                if (context.isGroupChat) {
-                    success = await this.storage.deleteGroupChatTemplateLock(context.groupId);
-                } else {
-                    success = this.storage.deleteChatTemplateLock();
-                }
-                if (success) this.currentLocks.chat = null;
-                break;
-            case 'group':
-                if (context.isGroupChat && context.groupId) {
-                    success = await this.storage.deleteGroupTemplateLock(context.groupId);
-                    if (success) this.currentLocks.group = null;
-                }
-                break;
+        return {
+            type: CHAT_TYPES.SINGLE,
+            isGroupChat: false,
+            groupId: null,
+            groupName: null,
+            chatId,
+            chatName: chatId,
+            characterName,
+            characterAvatar: this._getCurrentCharacterAvatar(characterName),
+            primaryId: characterName,
+            secondaryId: chatId
+        };
+    }
+
+    _getCharacterNameForSettings() {
+        let characterName = name2;
+
+        if (!characterName || characterName === systemUserName || characterName === neutralCharacterName) {
+            characterName = this._getCharacterNameFromChatMetadata();
+        }
+
+        if (!characterName) {
+            return null;
+        }
+
+        characterName = String(characterName).trim();
+        if (characterName.normalize) {
+            characterName = characterName.normalize('NFC');
+        }
+
+        return characterName;
+    }
+
+    _getCharacterNameFromChatMetadata() {
+        try {
+            const metadata = getCurrentChatMetadata();
+            const characterName = metadata?.character_name;
+            return characterName && typeof characterName === 'string' ? characterName.trim() : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Avatar filename of the current character, which stays stable when characters are added, removed or renamed
+     * @param {string|null} characterName - Fallback lookup when no character is selected
+     * @returns {string|null}
+     */
+    _getCurrentCharacterAvatar(characterName) {
+        try {
+            const characterId = getContext()?.characterId;
+            const character = characterId !== undefined && characterId !== null
+                ? characters?.[characterId]
+                : characters?.find(x => x.name === characterName);
+            return character?.avatar || null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    _getCurrentChatId() {
+        try {
+            const context = getContext();
+            return context?.chatId || null;
+        } catch (error) {
+            return null;
+        }
+    }
+}
+
+/**
+ * Centralized storage operations for template locking.
+ * Lock values are template ids, or objects with apply options (see createLockValue).
+ */
+class TemplateStorageAdapter {
+    constructor() {
+        this.EXTENSION_KEY = MODULE_NAME;
+    }
+
+    getExtensionSettings() {
+        return getSettingsRoot();
+    }
+
+    saveExtensionSettings() {
+        saveSettingsDebounced();
+    }
+
+    // Character template locks
+    getCharacterTemplateLock(characterKey) {
+        if (characterKey === undefined || characterKey === null) {
+            return null;
+        }
+
+        const extensionSettings = this.getExtensionSettings();
+        const chIdKey = String(characterKey);
+        return extensionSettings.templateLocks?.character?.[chIdKey] || null;
+    }
+
+    setCharacterTemplateLock(characterKey, lockValue) {
+        if (characterKey === undefined || characterKey === null) {
+            return false;
+        }
+
+        const extensionSettings = this.getExtensionSettings();
+
+        if (!extensionSettings.templateLocks) {
+            extensionSettings.templateLocks = {};
+        }
+        if (!extensionSettings.templateLocks.character) {
+            extensionSettings.templateLocks.character = {};
+        }
+
+        const saveKey = String(characterKey);
+        extensionSettings.templateLocks.character[saveKey] = lockValue;
+        this.saveExtensionSettings();
+        return true;
+    }
+
+    deleteCharacterTemplateLock(characterKey) {
+        if (characterKey === undefined || characterKey === null) {
+            return false;
+        }
+
+        const extensionSettings = this.getExtensionSettings();
+        const chIdKey = String(characterKey);
+
+        if (extensionSettings.templateLocks?.character?.[chIdKey]) {
+            delete extensionSettings.templateLocks.character[chIdKey];
+            this.saveExtensionSettings();
+            return true;
+        }
+
+        return false;
+    }
+
+    // Preset template locks, keyed by chat completion preset name
+    getPresetTemplateLock(presetName) {
+        if (!presetName) {
+            return null;
+        }
+
+        const extensionSettings = this.getExtensionSettings();
+        return extensionSettings.templateLocks?.preset?.[presetName] || null;
+    }
+
+    setPresetTemplateLock(presetName, lockValue) {
+        if (!presetName) {
+            return false;
+        }
+
+        const extensionSettings = this.getExtensionSettings();
+
+        if (!extensionSettings.templateLocks) {
+            extensionSettings.templateLocks = {};
+        }
+        if (!extensionSettings.templateLocks.preset) {
+            extensionSettings.templateLocks.preset = {};
+        }
+
+        extensionSettings.templateLocks.preset[presetName] = lockValue;
+        this.saveExtensionSettings();
+        return true;
+    }
+
+    deletePresetTemplateLock(presetName) {
+        if (!presetName) {
+            return false;
+        }
+
+        const extensionSettings = this.getExtensionSettings();
+
+        if (extensionSettings.templateLocks?.preset?.[presetName]) {
+            delete extensionSettings.templateLocks.preset[presetName];
+            this.saveExtensionSettings();
+            return true;
+        }
+
+        return false;
+    }
+
+    /**
+     * Move a preset lock to the preset's new name
+     * @param {string} oldName
+     * @param {string} newName
+     * @returns {boolean} Whether a lock was moved
+     */
+    renamePresetTemplateLock(oldName, newName) {
+        const locks = this.getExtensionSettings().templateLocks?.preset;
+        if (!oldName || !newName || oldName === newName || !locks?.[oldName]) {
+            return false;
+        }
+
+        locks[newName] = locks[oldName];
+        delete locks[oldName];
+        this.saveExtensionSettings();
+        return true;
+    }
+
+    // Global default template, used when no other lock applies
+    getDefaultTemplateLock() {
+        const extensionSettings = this.getExtensionSettings();
+        return extensionSettings.templateLocks?.default || null;
+    }
+
+    setDefaultTemplateLock(lockValue) {
+        const extensionSettings = this.getExtensionSettings();
+
+        if (!extensionSettings.templateLocks) {
+            extensionSettings.templateLocks = {};
+        }
+
+        extensionSettings.templateLocks.default = lockValue;
+        this.saveExtensionSettings();
+        return true;
+    }
+
+    deleteDefaultTemplateLock() {
+        const extensionSettings = this.getExtensionSettings();
+
+        if (extensionSettings.templateLocks?.default) {
+            delete extensionSettings.templateLocks.default;
+            this.saveExtensionSettings();
+            return true;
+        }
+
+        return false;
+    }
+
+    // Tag template locks, keyed by ST tag id so renaming a tag keeps its lock
+    getTagTemplateLocks() {
+        const extensionSettings = this.getExtensionSettings();
+        return extensionSettings.templateLocks?.tag || {};
+    }
+
+    setTagTemplateLock(tagId, lockValue) {
+        if (!tagId) {
+            return false;
+        }
+
+        const extensionSettings = this.getExtensionSettings();
+
+        if (!extensionSettings.templateLocks) {
+            extensionSettings.templateLocks = {};
+        }
+        if (!extensionSettings.templateLocks.tag) {
+            extensionSettings.templateLocks.tag = {};
+        }
+
+        extensionSettings.templateLocks.tag[tagId] = lockValue;
+        this.saveExtensionSettings();
+        return true;
+    }
+
+    deleteTagTemplateLock(tagId) {
+        if (!tagId) {
+            return false;
+        }
+
+        const extensionSettings = this.getExtensionSettings();
+
+        if (extensionSettings.templateLocks?.tag?.[tagId]) {
+            delete extensionSettings.templateLocks.tag[tagId];
+            this.saveExtensionSettings();
+            return true;
         }
 
-        return success;
-    }
+        return false;
+    }
+
+    // Persona template locks, keyed by persona avatar id
+    getPersonaTemplateLock(avatarId) {
+        if (!avatarId) {
+            return null;
+        }
+
+        const extensionSettings = this.getExtensionSettings();
+        return extensionSettings.templateLocks?.persona?.[avatarId] || null;
+    }
+
+    setPersonaTemplateLock(avatarId, lockValue) {
+        if (!avatarId) {
+            return false;
+        }
+
+        const extensionSettings = this.getExtensionSettings();
+
+        if (!extensionSettings.templateLocks) {
+            extensionSettings.templateLocks = {};
+        }
+        if (!extensionSettings.templateLocks.persona) {
+            extensionSettings.templateLocks.persona = {};
+        }
+
+        extensionSettings.templateLocks.persona[avatarId] = lockValue;
+        this.saveExtensionSettings();
+        return true;
+    }
+
+    deletePersonaTemplateLock(avatarId) {
+        if (!avatarId) {
+            return false;
+        }
+
+        const extensionSettings = this.getExtensionSettings();
+
+        if (extensionSettings.templateLocks?.persona?.[avatarId]) {
+            delete extensionSettings.templateLocks.persona[avatarId];
+            this.saveExtensionSettings();
+            return true;
+        }
+
+        return false;
+    }
+
+    // Connection template locks, keyed by chat completion source and then by model pattern ('' for any model)
+    getConnectionTemplateLocks(source) {
+        if (!source) {
+            return {};
+        }
+
+        const extensionSettings = this.getExtensionSettings();
+        return extensionSettings.templateLocks?.connection?.[source] || {};
+    }
+
+    setConnectionTemplateLock(source, modelPattern, lockValue) {
+        if (!source) {
+            return false;
+        }
+
+        const extensionSettings = this.getExtensionSettings();
+
+        if (!extensionSettings.templateLocks) {
+            extensionSettings.templateLocks = {};
+        }
+        if (!extensionSettings.templateLocks.connection) {
+            extensionSettings.templateLocks.connection = {};
+        }
+        if (!extensionSettings.templateLocks.connection[source]) {
+            extensionSettings.templateLocks.connection[source] = {};
+        }
+
+        extensionSettings.templateLocks.connection[source][modelPattern || ''] = lockValue;
+        this.saveExtensionSettings();
+        return true;
+    }
+
+    deleteConnectionTemplateLock(source, modelPattern) {
+        if (!source) {
+            return false;
+        }
+
+        const extensionSettings = this.getExtensionSettings();
+        const locks = extensionSettings.templateLocks?.connection?.[source];
+        const key = modelPattern || '';
+
+        if (locks?.[key]) {
+            delete locks[key];
+            if (Object.keys(locks).length === 0) {
+                delete extensionSettings.templateLocks.connection[source];
+            }
+            this.saveExtensionSettings();
+            return true;
+        }
+
+        return false;
+    }
+
+    // Group template locks
+    getGroupTemplateLock(groupId) {
+        if (!groupId) {
+            return null;
+        }
+
+        try {
+            const group = groups?.find(x => x.id === groupId);
+            return group?.ccpm_template_lock || null;
+        } catch (error) {
+            toastr.warning('CCPM: Error getting group template lock:', error);
+            return null;
+        }
+    }
+
+    async setGroupTemplateLock(groupId, lockValue) {
+        if (!groupId) {
+            return false;
+        }
+
+        try {
+            const group = groups?.find(x => x.id === groupId);
+            if (!group) {
+                toastr.warning('CCPM: Cannot save group template lock - group not found');
+                return false;
+            }
+
+            group.ccpm_template_lock = lockValue;
+            await editGroup(groupId, false, false);
+            return true;
+        } catch (error) {
+            toastr.error('CCPM: Error saving group template lock:', error);
+            return false;
+        }
+    }
+
+    async deleteGroupTemplateLock(groupId) {
+        if (!groupId) {
+            return false;
+        }
+
+        try {
+            const group = groups?.find(x => x.id === groupId);
+            if (group?.ccpm_template_lock) {
+                delete group.ccpm_template_lock;
+                await editGroup(groupId, false, false);
+                return true;
+            }
+            return false;
+        } catch (error) {
+            toastr.error('CCPM: Error deleting group template lock:', error);
+            return false;
+        }
+    }
+
+    // Chat template locks
+    getChatTemplateLock() {
+        try {
+            const metadata = getCurrentChatMetadata();
+            return metadata?.[this.EXTENSION_KEY]?.templateLock || null;
+        } catch (error) {
+            toastr.warning('CCPM: Error getting chat template lock:', error);
+            return null;
+        }
+    }
+
+    setChatTemplateLock(lockValue) {
+        try {
+            const metadata = getCurrentChatMetadata();
+            if (!metadata) {
+                toastr.warning('CCPM: Cannot save chat template lock - no chat metadata available');
+                return false;
+            }
+
+            if (!metadata[this.EXTENSION_KEY]) {
+                metadata[this.EXTENSION_KEY] = {};
+            }
+            metadata[this.EXTENSION_KEY].templateLock = lockValue;
+            this._triggerMetadataSave();
+            return true;
+        } catch (error) {
+            toastr.error('CCPM: Error saving chat template lock:', error);
+            return false;
+        }
+    }
+
+    deleteChatTemplateLock() {
+        try {
+            const metadata = getCurrentChatMetadata();
+            if (metadata?.[this.EXTENSION_KEY]?.templateLock) {
+                delete metadata[this.EXTENSION_KEY].templateLock;
+                this._triggerMetadataSave();
+                return true;
+            }
+            return false;
+        } catch (error) {
+            toastr.error('CCPM: Error deleting chat template lock:', error);
+            return false;
+        }
+    }
+
+    // Group chat template locks
+    getGroupChatTemplateLock(groupId) {
+        if (!groupId) {
+            return null;
+        }
+
+        try {
+            return (typeof chat_metadata !== 'undefined') ? chat_metadata[this.EXTENSION_KEY]?.templateLock || null : null;
+        } catch (error) {
+            toastr.warning('CCPM: Error getting group chat template lock:', error);
+            return null;
+        }
+    }
+
+    async setGroupChatTemplateLock(groupId, lockValue) {
+        if (!groupId) {
+            return false;
+        }
+
+        try {
+            if (typeof chat_metadata !== 'undefined') {
+                if (!chat_metadata[this.EXTENSION_KEY]) {
+                    chat_metadata[this.EXTENSION_KEY] = {};
+                }
+                chat_metadata[this.EXTENSION_KEY].templateLock = lockValue;
+                this._triggerMetadataSave();
+                return true;
+            }
+            return false;
+        } catch (error) {
+            toastr.error('CCPM: Error saving group chat template lock:', error);
+            return false;
+        }
+    }
+
+    async deleteGroupChatTemplateLock(groupId) {
+        if (!groupId) {
+            return false;
+        }
+
+        try {
+            if (typeof chat_metadata !== 'undefined' && chat_metadata[this.EXTENSION_KEY]?.templateLock) {
+                delete chat_metadata[this.EXTENSION_KEY].templateLock;
+                this._triggerMetadataSave();
+                return true;
+            }
+            return false;
+        } catch (error) {
+            toastr.error('CCPM: Error deleting group chat template lock:', error);
+            return false;
+        }
+    }
+
+    // Index of chat locks, so locks stored in chat files can be listed without opening each chat.
+    // Entries hold the chat id, its character avatar or group id, the lock, and optionally a
+    // pending change ({ lock }) that is written to the chat the next time it is opened.
+    getChatLockIndex() {
+        const extensionSettings = this.getExtensionSettings();
+        return extensionSettings.chatLockIndex || {};
+    }
+
+    setChatLockIndexEntry(indexKey, entry) {
+        if (!indexKey) {
+            return false;
+        }
+
+        const extensionSettings = this.getExtensionSettings();
+
+        if (!extensionSettings.chatLockIndex) {
+            extensionSettings.chatLockIndex = {};
+        }
+
+        extensionSettings.chatLockIndex[indexKey] = entry;
+        this.saveExtensionSettings();
+        return true;
+    }
+
+    deleteChatLockIndexEntry(indexKey) {
+        const extensionSettings = this.getExtensionSettings();
+
+        if (extensionSettings.chatLockIndex?.[indexKey]) {
+            delete extensionSettings.chatLockIndex[indexKey];
+            this.saveExtensionSettings();
+            return true;
+        }
+
+        return false;
+    }
+
+    _triggerMetadataSave() {
+        try {
+            saveMetadataDebounced();
+        } catch (error) {
+            toastr.error('CCPM: Error triggering metadata save:', error);
+        }
+    }
+}
+
+/**
+ * Template lock priority resolution
+ */
+class TemplateLockResolver {
+    constructor(extensionSettings) {
+        this.extensionSettings = extensionSettings;
+    }
+
+    resolve(context, availableLocks) {
+        const chatType = context.isGroupChat ? CHAT_TYPES.GROUP : CHAT_TYPES.SINGLE;
+        const chain = normalizeLockPriority(this.extensionSettings.lockPriority?.[chatType], chatType);
+
+        // The global default is the last resort
+        const match = [...chain, 'default'].find(target => availableLocks[target]);
+        if (match) {
+            const source = match === 'chat' && context.isGroupChat ? SETTING_SOURCES.GROUP_CHAT : SETTING_SOURCES[match.toUpperCase()];
+            return { templateId: availableLocks[match], source, target: match };
+        }
+
+        return { templateId: null, source: 'none' };
+    }
+}
+
+/**
+ * Main template lock manager
+ */
+class TemplateLockManager {
+    constructor(storage) {
+        this.storage = storage;
+        this.lockResolver = new TemplateLockResolver(storage.getExtensionSettings());
+        this.chatContext = new ChatContext();
+        this.currentLocks = this._getEmptyLocks();
+        this.currentLockOptions = {};
+        // Model pattern of the connection lock that matched, '' for the source's catch-all lock
+        this.currentConnectionPattern = null;
+        // ST tag the tag lock came from
+        this.currentTag = null;
+    }
+
+    _getEmptyLocks() {
+        return {
+            character: null,
+            chat: null,
+            group: null,
+            tag: null,
+            persona: null,
+            connection: null,
+            preset: null,
+            default: null
+        };
+    }
+
+    async loadCurrentLocks() {
+        const context = this.chatContext.getCurrent();
+        // Sync before resetting, so concurrent readers never see the locks half loaded
+        await this._syncChatLockIndex(context);
+
+        this.currentLocks = this._getEmptyLocks();
+        this.currentLockOptions = {};
+        if (context.isGroupChat) {
+            this._loadGroupLocks(context);
+        } else {
+            this._loadSingleLocks(context);
+        }
+        const tagLock = this._findTagLock(this.getTagEntityKey(context));
+        this.currentTag = tagLock?.tag ?? null;
+        this._setLoadedLock('tag', tagLock?.lock ?? null);
+
+        this._setLoadedLock('persona', this.storage.getPersonaTemplateLock(user_avatar));
+        this._setLoadedLock('preset', this.storage.getPresetTemplateLock(getCurrentPresetName()));
+        this._setLoadedLock('default', this.storage.getDefaultTemplateLock());
+
+        const connectionLock = this._findConnectionLock();
+        this.currentConnectionPattern = connectionLock?.modelPattern ?? null;
+        this._setLoadedLock('connection', connectionLock?.lock ?? null);
+
+        return this.currentLocks;
+    }
+
+    /**
+     * Tags are looked up for the character, or for the group in group chats
+     * @param {Object} context - Chat context
+     * @returns {string|null} Key of the tagged entity in ST's tag_map
+     */
+    getTagEntityKey(context) {
+        return context.isGroupChat ? context.groupId : this._getCharacterKey(context);
+    }
+
+    /**
+     * Tags of a character or group in the order ST shows them (alphabetical with auto-sort on,
+     * otherwise the order set in Tag Management), which is the order tag locks are checked in
+     * @param {string|null} entityKey - Character avatar or group id
+     * @returns {Object[]}
+     */
+    getEntityTags(entityKey) {
+        const tagIds = (entityKey && tag_map?.[entityKey]) || [];
+        return (tags || []).filter(t => tagIds.includes(t.id)).sort(compareTagsForSort);
+    }
+
+    /**
+     * Find the tag lock for a character or group. With several locked tags, the tag ST shows
+     * first wins (see getEntityTags).
+     * @param {string|null} entityKey - Character avatar or group id
+     * @returns {{tag: Object, lock: *}|null}
+     */
+    _findTagLock(entityKey) {
+        const locks = this.storage.getTagTemplateLocks();
+        const tag = this.getEntityTags(entityKey).find(t => locks[t.id]);
+        return tag ? { tag, lock: locks[tag.id] } : null;
+    }
+
+    /**
+     * Find the connection lock for the current source and model. Locks with a model
+     * pattern win over the source's catch-all lock; among several matching patterns
+     * the longest one wins, then the alphabetically first.
+     * @returns {{modelPattern: string, lock: *}|null}
+     */
+    _findConnectionLock() {
+        const { source, model } = getCurrentConnection();
+        const locks = this.storage.getConnectionTemplateLocks(source);
+        const modelPattern = Object.keys(locks)
+            .filter(pattern => pattern && matchesModelPattern(pattern, model))
+            .sort((a, b) => b.length - a.length || a.localeCompare(b))[0]
+            ?? (locks[''] ? '' : null);
+        return modelPattern === null ? null : { modelPattern, lock: locks[modelPattern] };
+    }
+
+    /**
+     * Character locks are keyed by avatar filename
+     * @param {Object} context - Chat context
+     * @returns {string|null}
+     */
+    _getCharacterKey(context) {
+        return context.characterAvatar ?? characters?.find(x => x.name === context.characterName)?.avatar ?? null;
+    }
+
+    _setLoadedLock(target, rawLock) {
+        const lock = normalizeLockValue(rawLock);
+        this.currentLocks[target] = lock?.templateId || null;
+        if (lock) {
+            this.currentLockOptions[target] = lock.options;
+        } else {
+            delete this.currentLockOptions[target];
+        }
+    }
+
+    _loadGroupLocks(context) {
+        if (context.groupId) {
+            this._setLoadedLock('group', this.storage.getGroupTemplateLock(context.groupId));
+            this._setLoadedLock('chat', this.storage.getGroupChatTemplateLock(context.groupId));
+        }
+
+        // Load character lock for the primary character in the group
+        if (context.characterName) {
+            const characterKey = this._getCharacterKey(context);
+            this._setLoadedLock('character', this.storage.getCharacterTemplateLock(characterKey));
+        }
+    }
+
+    _loadSingleLocks(context) {
+        if (context.characterName) {
+            const characterKey = this._getCharacterKey(context);
+            this._setLoadedLock('character', this.storage.getCharacterTemplateLock(characterKey));
+        }
+
+        if (context.chatId) {
+            this._setLoadedLock('chat', this.storage.getChatTemplateLock());
+        }
+    }
+
+    /**
+     * Key of a chat in the chat lock index; chat ids are only unique per character
+     * @param {Object} context - Chat context
+     * @returns {string|null}
+     */
+    _getChatLockIndexKey(context) {
+        if (!context.chatId) {
+            return null;
+        }
+        const owner = context.isGroupChat ? `group:${context.groupId}` : this._getCharacterKey(context);
+        return owner ? `${owner}/${context.chatId}` : null;
+    }
+
+    /**
+     * Keep the chat lock index in step with the open chat, first writing a change queued
+     * from the lock dashboard
+     * @param {Object} context - Chat context
+     */
+    async _syncChatLockIndex(context) {
+        const indexKey = this._getChatLockIndexKey(context);
+        if (!indexKey) {
+            return;
+        }
+
+        const entry = this.storage.getChatLockIndex()[indexKey];
+        if (entry?.pending) {
+            await this._writeChatLock(context, entry.pending.lock);
+            console.log('CCPM: Applied queued lock change to chat:', context.chatId);
+        }
+
+        const lock = context.isGroupChat ? this.storage.getGroupChatTemplateLock(context.groupId) : this.storage.getChatTemplateLock();
+        if (!normalizeLockValue(lock)) {
+            this.storage.deleteChatLockIndexEntry(indexKey);
+            return;
+        }
+
+        const updated = context.isGroupChat
+            ? { chatId: context.chatId, groupId: context.groupId, lock }
+            : { chatId: context.chatId, characterAvatar: this._getCharacterKey(context), lock };
+        if (stableStringify(entry) !== stableStringify(updated)) {
+            this.storage.setChatLockIndexEntry(indexKey, updated);
+        }
+    }
+
+    /**
+     * Write or delete the lock of the open chat
+     * @param {Object} context - Chat context
+     * @param {*} lockValue - Lock value, or null to delete the lock
+     * @returns {Promise<boolean>}
+     */
+    async _writeChatLock(context, lockValue) {
+        if (context.isGroupChat) {
+            return lockValue
+                ? this.storage.setGroupChatTemplateLock(context.groupId, lockValue)
+                : this.storage.deleteGroupChatTemplateLock(context.groupId);
+        }
+        return lockValue ? this.storage.setChatTemplateLock(lockValue) : this.storage.deleteChatTemplateLock();
+    }
+
+    /**
+     * List every stored lock: locks in the settings, group locks and the chat locks known from
+     * the chat lock index. Chat locks with a queued change show the queued lock; queued clears are left out.
+     * @returns {Array<{id: string, target: string, key: string|null, modelPattern?: string, chatId?: string, ownerKey?: string, isGroupOwner?: boolean, missing?: boolean, templateId: string, options: Object, pending: boolean}>}
+     */
+    listAllLocks() {
+        const locks = this.storage.getExtensionSettings().templateLocks || {};
+        const entries = [];
+        const add = (target, key, rawLock, extra = {}) => {
+            const lock = normalizeLockValue(rawLock);
+            if (lock) {
+                entries.push({ id: `${target}:${key ?? ''}:${extra.modelPattern ?? ''}`, target, key, templateId: lock.templateId, options: lock.options, pending: false, ...extra });
+            }
+        };
+
+        for (const [key, lock] of Object.entries(locks.character || {})) add('character', key, lock);
+        for (const group of groups || []) add('group', group.id, group.ccpm_template_lock);
+        for (const [key, lock] of Object.entries(locks.tag || {})) add('tag', key, lock);
+        for (const [key, lock] of Object.entries(locks.persona || {})) add('persona', key, lock);
+        for (const [source, patterns] of Object.entries(locks.connection || {})) {
+            for (const [modelPattern, lock] of Object.entries(patterns)) add('connection', source, lock, { modelPattern });
+        }
+        for (const [key, lock] of Object.entries(locks.preset || {})) add('preset', key, lock);
+        add('default', null, locks.default);
+
+        for (const [indexKey, entry] of Object.entries(this.storage.getChatLockIndex())) {
+            const lock = entry.pending ? entry.pending.lock : entry.lock;
+            add('chat', indexKey, lock, {
+                chatId: entry.chatId,
+                ownerKey: entry.groupId ?? entry.characterAvatar,
+                isGroupOwner: !!entry.groupId,
+                pending: !!entry.pending,
+                missing: !!entry.missing,
+            });
+        }
+
+        return entries;
+    }
+
+    /**
+     * Update the chat lock index from the chat files. Index entries whose chat file no longer exists
+     * are marked missing; their queued changes are kept so they can still be cleared from the dashboard.
+     * @param {Object} [options]
+     * @param {boolean} [options.scanFiles=false] - Read every character and group chat for locks,
+     * which also picks up locks set before the index existed; otherwise only the chat lists are checked
+     * @param {function(number, number): void} [options.onProgress] - Called with the number of
+     * characters and groups done and their total
+     * @param {AbortSignal} [options.signal] - Stops the refresh; owners not reached are left as they were
+     * @returns {Promise<{scanned: number, missing: number, cancelled: boolean}>}
+     */
+    async refreshChatLockIndex({ scanFiles = false, onProgress, signal } = {}) {
+        const index = this.storage.getChatLockIndex();
+        const currentKey = this._getChatLockIndexKey(this.chatContext.getCurrent());
+        const owners = [
+            ...(characters || []).map(x => ({ avatar: x.avatar, name: x.name })),
+            ...(groups || []).map(x => ({ groupId: x.id, chatIds: x.chats || [] })),
+        ].filter(owner => scanFiles || Object.values(index).some(entry => (owner.groupId ? entry.groupId === owner.groupId : entry.characterAvatar === owner.avatar)));
+        const existingKeys = new Set();
+        const unknownOwners = new Set();
+        let scanned = 0;
+        let done = 0;
+
+        for (const owner of owners) {
+            const ownerKey = owner.groupId ? `group:${owner.groupId}` : owner.avatar;
+            if (signal?.aborted) {
+                unknownOwners.add(ownerKey);
+                continue;
+            }
+            onProgress?.(done++, owners.length);
+            let chatIds;
+            try {
+                chatIds = owner.groupId ? owner.chatIds : await this._fetchCharacterChatIds(owner.avatar);
+            } catch (error) {
+                console.warn('CCPM: Could not list chats of', ownerKey, error);
+                // Unknown is not missing: keep these entries as they are
+                unknownOwners.add(ownerKey);
+                continue;
+            }
+
+            for (const chatId of chatIds) {
+                const indexKey = `${ownerKey}/${chatId}`;
+                existingKeys.add(indexKey);
+                if (!scanFiles || indexKey === currentKey || signal?.aborted) {
+                    continue;
+                }
+
+                try {
+                    const metadata = await this._fetchChatMetadata(owner, chatId);
+                    const lock = metadata?.[this.storage.EXTENSION_KEY]?.templateLock;
+                    const entry = index[indexKey];
+                    scanned++;
+                    if (normalizeLockValue(lock)) {
+                        const ownerFields = owner.groupId ? { groupId: owner.groupId } : { characterAvatar: owner.avatar };
+                        const updated = { chatId, ...ownerFields, lock, ...(entry?.pending ? { pending: entry.pending } : {}) };
+                        if (stableStringify(entry) !== stableStringify(updated)) {
+                            this.storage.setChatLockIndexEntry(indexKey, updated);
+                        }
+                    } else if (entry && !entry.pending) {
+                        this.storage.deleteChatLockIndexEntry(indexKey);
+                    }
+                } catch (error) {
+                    console.warn('CCPM: Could not read chat', indexKey, error);
+                }
+            }
+        }
+
+        let missing = 0;
+        for (const [indexKey, entry] of Object.entries(this.storage.getChatLockIndex())) {
+            if (unknownOwners.has(entry.groupId ? `group:${entry.groupId}` : entry.characterAvatar)) {
+                if (entry.missing) missing++;
+                continue;
+            }
+            const isMissing = !existingKeys.has(indexKey) && indexKey !== currentKey;
+            if (isMissing !== !!entry.missing) {
+                const updated = { ...entry };
+                if (isMissing) {
+                    updated.missing = true;
+                } else {
+                    delete updated.missing;
+                }
+                this.storage.setChatLockIndexEntry(indexKey, updated);
+            }
+            if (isMissing) missing++;
+        }
+
+        const cancelled = !!signal?.aborted;
+        if (scanFiles && !cancelled) {
+            this.storage.getExtensionSettings().chatLockIndexSeeded = true;
+            this.storage.saveExtensionSettings();
+        }
+        onProgress?.(owners.length, owners.length);
+        return { scanned, missing, cancelled };
+    }
+
+    /**
+     * List the chat ids (file names without extension) of a character
+     * @param {string} avatar - Character avatar filename
+     * @returns {Promise<string[]>}
+     */
+    async _fetchCharacterChatIds(avatar) {
+        const response = await fetch('/api/characters/chats', {
+            method: 'POST',
+            headers: getRequestHeaders(),
+            body: JSON.stringify({ avatar_url: avatar, simple: true }),
+        });
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+        const data = await response.json();
+        if (data?.error) {
+            throw new Error(`Could not list the chats of ${avatar}`);
+        }
+        return Object.values(data || {})
+            .map(chat => String(chat?.file_name || '').replace(/\.jsonl$/, ''))
+            .filter(Boolean);
+    }
+
+    /**
+     * Read the metadata header of a chat file
+     * @param {{avatar?: string, name?: string, groupId?: string}} owner - Character or group of the chat
+     * @param {string} chatId
+     * @returns {Promise<Object|null>}
+     */
+    async _fetchChatMetadata(owner, chatId) {
+        const response = await fetch(owner.groupId ? '/api/chats/group/get' : '/api/chats/get', {
+            method: 'POST',
+            headers: getRequestHeaders(),
+            body: JSON.stringify(owner.groupId ? { id: chatId } : { ch_name: owner.name, file_name: chatId, avatar_url: owner.avatar }),
+        });
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+        const messages = await response.json();
+        return Array.isArray(messages) ? messages[0]?.chat_metadata ?? null : null;
+    }
+
+    /**
+     * Whether the character, group, chat owner, tag, persona, connection source or preset a stored
+     * lock is keyed by still exists
+     * @param {Object} entry - Entry from listAllLocks
+     * @returns {boolean}
+     */
+    lockOwnerExists(entry) {
+        switch (entry.target) {
+            case 'character':
+                return !!characters?.some(x => x.avatar === entry.key);
+            case 'group':
+                return !!groups?.some(x => x.id === entry.key);
+            case 'chat':
+                return entry.isGroupOwner
+                    ? !!groups?.some(x => x.id === entry.ownerKey)
+                    : !!characters?.some(x => x.avatar === entry.ownerKey);
+            case 'tag':
+                return !!tags?.some(t => t.id === entry.key);
+            case 'persona':
+                return !power_user.personas || entry.key in power_user.personas;
+            case 'connection':
+                return Object.values(chat_completion_sources).includes(entry.key);
+            case 'preset':
+                return !openai_setting_names || entry.key in openai_setting_names;
+            default:
+                return true;
+        }
+    }
+
+    /**
+     * Point a stored lock at another template, or delete it. Apply options are kept,
+     * parameter values are dropped since they belong to the old template. Locks of chats that
+     * aren't open are queued and written when the chat is next opened.
+     * @param {Object} entry - Entry from listAllLocks
+     * @param {string|null} templateId - New template, or null to delete the lock
+     * @returns {Promise<boolean>} Whether the lock was changed
+     */
+    async updateStoredLock(entry, templateId) {
+        const lockValue = templateId ? createLockValue(templateId, { ...entry.options, parameterValues: undefined }) : null;
+        let success = false;
+
+        switch (entry.target) {
+            case 'character':
+                success = lockValue ? this.storage.setCharacterTemplateLock(entry.key, lockValue) : this.storage.deleteCharacterTemplateLock(entry.key);
+                break;
+            case 'group':
+                success = lockValue ? await this.storage.setGroupTemplateLock(entry.key, lockValue) : await this.storage.deleteGroupTemplateLock(entry.key);
+                break;
+            case 'tag':
+                success = lockValue ? this.storage.setTagTemplateLock(entry.key, lockValue) : this.storage.deleteTagTemplateLock(entry.key);
+                break;
+            case 'persona':
+                success = lockValue ? this.storage.setPersonaTemplateLock(entry.key, lockValue) : this.storage.deletePersonaTemplateLock(entry.key);
+                break;
+            case 'connection':
+                success = lockValue ? this.storage.setConnectionTemplateLock(entry.key, entry.modelPattern, lockValue) : this.storage.deleteConnectionTemplateLock(entry.key, entry.modelPattern);
+                break;
+            case 'preset':
+                success = lockValue ? this.storage.setPresetTemplateLock(entry.key, lockValue) : this.storage.deletePresetTemplateLock(entry.key);
+                break;
+            case 'default':
+                success = lockValue ? this.storage.setDefaultTemplateLock(lockValue) : this.storage.deleteDefaultTemplateLock();
+                break;
+            case 'chat': {
+                const context = this.chatContext.getCurrent();
+                if (entry.key === this._getChatLockIndexKey(context)) {
+                    success = await this._writeChatLock(context, lockValue);
+                    await this._syncChatLockIndex(context);
+                } else if (entry.missing || !this.lockOwnerExists(entry)) {
+                    // The chat can't be opened anymore, so there is nothing to write to
+                    success = !lockValue && this.storage.deleteChatLockIndexEntry(entry.key);
+                } else {
+                    const indexEntry = this.storage.getChatLockIndex()[entry.key];
+                    success = !!indexEntry && this.storage.setChatLockIndexEntry(entry.key, { ...indexEntry, pending: { lock: lockValue } });
+                }
+                break;
+            }
+        }
+
+        if (success) {
+            await this.loadCurrentLocks();
+        }
+        return success;
+    }
+
+    async getLockToApply() {
+        const context = this.chatContext.getCurrent();
+        return this._resolve(context, this.currentLocks, this.currentLockOptions);
+    }
+
+    /**
+     * Explain how the lock for the current context is resolved: the lock found for every
+     * source with its storage location, in the order the resolver checks them
+     * @returns {Promise<{context: Object, steps: Array<Object>, result: Object}>}
+     */
+    async inspectLocks() {
+        this.chatContext.invalidate();
+        const context = this.chatContext.getCurrent();
+        await this.loadCurrentLocks();
+
+        const chatType = context.isGroupChat ? CHAT_TYPES.GROUP : CHAT_TYPES.SINGLE;
+        const chain = normalizeLockPriority(this.storage.getExtensionSettings().lockPriority?.[chatType], chatType);
+        const sources = this._describeLockSources(context);
+
+        return {
+            context,
+            steps: [...chain, 'default'].map(target => ({
+                target,
+                templateId: this.currentLocks[target],
+                options: this.currentLockOptions[target] || null,
+                ...sources[target],
+            })),
+            result: await this.getLockToApply(),
+        };
+    }
+
+    /**
+     * Where each lock source is looked up in the given context
+     * @param {Object} context - Chat context
+     * @returns {Object<string, {location: string|null, note: string|null}>} Keyed by target; location is null when the source doesn't apply
+     */
+    _describeLockSources(context) {
+        const root = `extension_settings.${SETTINGS_KEY}.templateLocks`;
+        const key = (value) => `[${JSON.stringify(String(value))}]`;
+        const characterKey = this._getCharacterKey(context);
+        const presetName = getCurrentPresetName();
+        const { source, model } = getCurrentConnection();
+
+        // Tags of the character or group, with the locked ones in the order they are checked
+        const tagEntityKey = this.getTagEntityKey(context);
+        const tagIds = (tagEntityKey && tag_map?.[tagEntityKey]) || [];
+        const tagLocks = this.storage.getTagTemplateLocks();
+        const lockedTags = this.getEntityTags(tagEntityKey).filter(t => tagLocks[t.id]);
+
+        const connectionLocks = this.storage.getConnectionTemplateLocks(source);
+        const connectionPatterns = Object.keys(connectionLocks).filter(pattern => !pattern || matchesModelPattern(pattern, model));
+
+        return {
+            character: characterKey
+                ? { location: `${root}.character${key(characterKey)}`, note: null }
+                : { location: null, note: context.isGroupChat ? 'Members\' character locks apply when they are drafted' : 'No character selected' },
+            chat: context.chatId
+                ? { location: `chat_metadata.${MODULE_NAME}.templateLock`, note: `Chat "${context.chatId}"` }
+                : { location: null, note: 'No chat open' },
+            group: context.isGroupChat
+                ? { location: `groups${key(context.groupId)}.ccpm_template_lock`, note: null }
+                : { location: null, note: 'Not a group chat' },
+            tag: {
+                location: lockedTags.length > 0 ? `${root}.tag${key(lockedTags[0].id)}` : tagIds.length > 0 ? `${root}.tag` : null,
+                note: lockedTags.length > 0
+                    ? lockedTags.map(t => `"${t.name}"`).join(', ') + (lockedTags.length > 1 ? ' (first shown wins)' : '')
+                    : tagIds.length > 0 ? 'None of the tags is locked' : 'No tags',
+            },
+            persona: user_avatar
+                ? { location: `${root}.persona${key(user_avatar)}`, note: null }
+                : { location: null, note: 'No persona selected' },
+            connection: source
+                ? {
+                    location: `${root}.connection${key(source)}${key(this.currentConnectionPattern ?? '')}`,
+                    note: `Model "${model || 'unknown'}"` + (connectionPatterns.length > 0 ? `, matching patterns: ${connectionPatterns.map(p => p ? `"${p}"` : 'any model').join(', ')}` : ''),
+                }
+                : { location: null, note: 'No chat completion source' },
+            preset: presetName
+                ? { location: `${root}.preset${key(presetName)}`, note: null }
+                : { location: null, note: 'No preset selected' },
+            default: { location: `${root}.default`, note: null },
+        };
+    }
+
+    /**
+     * Resolve the lock for a group member about to generate, using their character lock
+     * in place of the group's character lock
+     * @param {string} characterAvatar - Avatar filename of the drafted member
+     */
+    async getLockForGroupMember(characterAvatar) {
+        const context = this.chatContext.getCurrent();
+        const memberLock = normalizeLockValue(this.storage.getCharacterTemplateLock(characterAvatar));
+        const locks = { ...this.currentLocks, character: memberLock?.templateId || null };
+        const lockOptions = { ...this.currentLockOptions, character: memberLock?.options };
+
+        // The member's own tags replace the group's tags
+        const memberTagLock = this._findTagLock(characterAvatar);
+        const memberTagLockValue = normalizeLockValue(memberTagLock?.lock);
+        if (memberTagLockValue) {
+            locks.tag = memberTagLockValue.templateId;
+            lockOptions.tag = memberTagLockValue.options;
+        }
+        return this._resolve(context, locks, lockOptions, memberTagLock?.tag ?? this.currentTag);
+    }
+
+    _resolve(context, locks, lockOptions, tag = this.currentTag) {
+        // Pass extension settings to resolver for priority preferences
+        const settings = this.storage.getExtensionSettings();
+        this.lockResolver = new TemplateLockResolver(settings);
+        const result = this.lockResolver.resolve(context, locks);
+        result.options = (result.target && lockOptions[result.target]) || {};
+        if (result.target === 'tag' && tag) {
+            result.source = `${SETTING_SOURCES.TAG} "${tag.name}"`;
+        }
+        return result;
+    }
+
+    /**
+     * @param {string} target - One of LOCK_TARGETS
+     * @param {string} templateId
+     * @param {Object} [options] - Apply options stored with the lock
+     * @param {Object} [scope] - Extra lock key: the connection lock's modelPattern or the tag lock's tagId
+     */
+    async setLock(target, templateId, options = null, scope = {}) {
+        const context = this.chatContext.getCurrent();
+        const lockValue = createLockValue(templateId, options);
+        let success = false;
+
+        switch (target) {
+            case 'character':
+                if (context.characterName) {
+                    const characterKey = this._getCharacterKey(context);
+                    success = this.storage.setCharacterTemplateLock(characterKey, lockValue);
+                    if (success) this._setLoadedLock('character', lockValue);
+                }
+                break;
+            case 'chat':
+                if (context.isGroupChat) {
+                    success = await this.storage.setGroupChatTemplateLock(context.groupId, lockValue);
+                } else {
+                    success = this.storage.setChatTemplateLock(lockValue);
+                }
+                if (success) {
+                    this._setLoadedLock('chat', lockValue);
+                    await this._syncChatLockIndex(context);
+                }
+                break;
+            case 'group':
+                if (context.isGroupChat && context.groupId) {
+                    success = await this.storage.setGroupTemplateLock(context.groupId, lockValue);
+                    if (success) this._setLoadedLock('group', lockValue);
+                }
+                break;
+            case 'tag': {
+                const tagId = scope.tagId || this.getEntityTags(this.getTagEntityKey(context))[0]?.id;
+                success = this.storage.setTagTemplateLock(tagId, lockValue);
+                if (success) await this.loadCurrentLocks();
+                break;
+            }
+            case 'persona':
+                success = this.storage.setPersonaTemplateLock(user_avatar, lockValue);
+                if (success) this._setLoadedLock('persona', lockValue);
+                break;
+            case 'connection': {
+                const modelPattern = (scope.modelPattern || '').trim();
+                success = this.storage.setConnectionTemplateLock(getCurrentConnection().source, modelPattern, lockValue);
+                if (success && matchesModelPattern(modelPattern, getCurrentConnection().model)) {
+                    await this.loadCurrentLocks();
+                }
+                break;
+            }
+            case 'preset':
+                success = this.storage.setPresetTemplateLock(getCurrentPresetName(), lockValue);
+                if (success) this._setLoadedLock('preset', lockValue);
+                break;
+            case 'default':
+                success = this.storage.setDefaultTemplateLock(lockValue);
+                if (success) this._setLoadedLock('default', lockValue);
+                break;
+        }
+
+        return success;
+    }
+
+    /**
+     * @param {string} target - One of LOCK_TARGETS
+     * @param {Object} [scope] - Extra lock key; connection and tag locks default to the one that matched
+     */
+    async clearLock(target, scope = {}) {
+        const context = this.chatContext.getCurrent();
+        let success = false;
+
+        switch (target) {
+            case 'character':
+                if (context.characterName) {
+                    const characterKey = this._getCharacterKey(context);
+                    success = this.storage.deleteCharacterTemplateLock(characterKey);
+                    if (success) this._setLoadedLock('character', null);
+                }
+                break;
+            case 'chat':
+                if (context.isGroupChat) {
+                    success = await this.storage.deleteGroupChatTemplateLock(context.groupId);
+                } else {
+                    success = this.storage.deleteChatTemplateLock();
+                }
+                if (success) {
+                    this._setLoadedLock('chat', null);
+                    await this._syncChatLockIndex(context);
+                }
+                break;
+            case 'group':
+                if (context.isGroupChat && context.groupId) {
+                    success = await this.storage.deleteGroupTemplateLock(context.groupId);
+                    if (success) this._setLoadedLock('group', null);
+                }
+                break;
+            case 'tag':
+                success = this.storage.deleteTagTemplateLock(scope.tagId ?? this.currentTag?.id);
+                if (success) await this.loadCurrentLocks();
+                break;
+            case 'persona':
+                success = this.storage.deletePersonaTemplateLock(user_avatar);
+                if (success) this._setLoadedLock('persona', null);
+                break;
+            case 'connection':
+                success = this.storage.deleteConnectionTemplateLock(getCurrentConnection().source, scope.modelPattern ?? this.currentConnectionPattern);
+                if (success) await this.loadCurrentLocks();
+                break;
+            case 'preset':
+                success = this.storage.deletePresetTemplateLock(getCurrentPresetName());
+                if (success) this._setLoadedLock('preset', null);
+                break;
+            case 'default':
+                success = this.storage.deleteDefaultTemplateLock();
+                if (success) this._setLoadedLock('default', null);
+                break;
+        }
+
+        return success;
+    }
+
+    async onContextChanged() {
+        this.chatContext.invalidate();
+        await this.loadCurrentLocks();
+    }
+}
+
+// PromptTemplate: Represents a reusable prompt template
+class PromptTemplate {
+	/**
+	 * @param {Object} param0
+	 * @param {string} param0.name - Name of the template
+	 * @param {string} param0.description - Description of the template
+	 * @param {Object} param0.prompts - SillyTavern prompt configuration object
+	 * @param {Array} [param0.promptOrder] - Order of prompts
+	 * @param {number} [param0.promptOrderCharacterId] - prompt_order character_id the order was captured from
+	 * @param {string} [param0.characterName] - Name of character this template was created for
+	 * @param {string} [param0.id] - Optional unique identifier
+	 * @param {string} [param0.createdAt] - Creation timestamp
+	 * @param {string} [param0.updatedAt] - Last update timestamp
+	 * @param {number} [param0.version] - Current version number
+	 * @param {Array} [param0.history] - Snapshots of previous versions, oldest first
+	 * @param {string[]} [param0.tags] - User-defined tags
+	 * @param {string} [param0.folder] - Optional folder name
+	 * @param {string} [param0.parentId] - Template this one inherits from
+	 * @param {Object} [param0.overrides] - What a child template changes relative to its parent
+	 * @param {Array} [param0.parameters] - Typed parameters referenced as {{param:name}} in prompt contents
+	 */
+	constructor({ name, description, prompts, promptOrder, promptOrderCharacterId, characterName, id, createdAt, updatedAt, version, history, tags, folder, parentId, overrides, parameters }) {
+		this.id = id || PromptTemplate.generateId();
+		this.name = name;
+		this.description = description;
+		// Store ST-compatible prompt structure
+		this.prompts = this.validateAndNormalizePrompts(prompts || {});
+		this.promptOrder = promptOrder || [];
+		this.promptOrderCharacterId = promptOrderCharacterId ?? null;
+		this.characterName = characterName || null; // Store for reference/display
+		this.createdAt = createdAt || new Date().toISOString();
+		this.updatedAt = updatedAt || this.createdAt;
+		this.version = version || 1;
+		this.history = Array.isArray(history) ? history : [];
+		this.tags = PromptTemplate.normalizeTags(tags);
+		this.folder = PromptTemplate.normalizeFolder(folder);
+		this.parameters = normalizeTemplateParameters(parameters);
+		// Children store only their overrides; prompts and promptOrder hold the resolved chain
+		this.parentId = parentId || null;
+		this.overrides = this.parentId ? PromptTemplate.normalizeOverrides(overrides) : null;
+	}
+
+	/**
+	 * Validate and normalize prompts to SillyTavern format
+	 * @param {Object} prompts - Raw prompt data
+	 * @returns {Object} - Normalized SillyTavern prompt structure
+	 */
+	validateAndNormalizePrompts(prompts) {
+		const normalized = {};
+
+		// Accept all prompts - ST supports many identifiers dynamically
+		// Don't filter by a hardcoded list to avoid data loss
+		for (const [identifier, promptData] of Object.entries(prompts)) {
+			if (identifier && promptData && typeof promptData === 'object') {
+				// Keep all existing properties from ST's prompt structure
+				normalized[identifier] = {
+					identifier: identifier,
+					...promptData  // Preserve all ST prompt properties
+				};
+			}
+		}
+
+		return normalized;
+	}
+
+	/**
+	 * Get default name for prompt identifier
+	 * @param {string} identifier
+	 * @returns {string}
+	 */
+	getDefaultPromptName(identifier) {
+		const names = {
+			'main': 'Main Prompt',
+			'nsfw': 'NSFW Prompt',
+			'jailbreak': 'Jailbreak Prompt',
+			'impersonation': 'Impersonation Prompt',
+			'utility': 'Utility Prompt'
+		};
+		return names[identifier] || identifier;
+	}
+
+	static generateId() {
+		return 'tmpl_' + Math.random().toString(36).substr(2, 9);
+	}
+
+	/**
+	 * Trim, de-duplicate and drop empty tags
+	 * @param {string[]|string} tags - Array of tags or a comma-separated string
+	 * @returns {string[]}
+	 */
+	static normalizeTags(tags) {
+		const list = typeof tags === 'string' ? tags.split(',') : (Array.isArray(tags) ? tags : []);
+		const normalized = list
+			.filter(tag => typeof tag === 'string')
+			.map(tag => tag.trim())
+			.filter(Boolean);
+		return [...new Set(normalized)];
+	}
+
+	/**
+	 * @param {string} folder
+	 * @returns {string|null} Trimmed folder name, or null for no folder
+	 */
+	static normalizeFolder(folder) {
+		return typeof folder === 'string' && folder.trim() ? folder.trim() : null;
+	}
+
+	/**
+	 * Fill in missing parts of a child template's overrides
+	 * @param {Object} [overrides]
+	 * @returns {{prompts: Object, removedPrompts: string[], promptOrder: Array, enabledOverrides: Object, parameters: Array, removedParameters: string[]}}
+	 */
+	static normalizeOverrides(overrides) {
+		return {
+			...(overrides || {}),
+			prompts: overrides?.prompts && typeof overrides.prompts === 'object' ? overrides.prompts : {},
+			removedPrompts: Array.isArray(overrides?.removedPrompts) ? overrides.removedPrompts : [],
+			promptOrder: Array.isArray(overrides?.promptOrder) ? overrides.promptOrder : [],
+			enabledOverrides: overrides?.enabledOverrides && typeof overrides.enabledOverrides === 'object' ? overrides.enabledOverrides : {},
+			parameters: normalizeTemplateParameters(overrides?.parameters),
+			removedParameters: Array.isArray(overrides?.removedParameters) ? overrides.removedParameters : [],
+		};
+	}
+
+	/**
+	 * Capture the current content of the template as a history entry
+	 * @returns {Object}
+	 */
+	createSnapshot() {
+		return deepClone({
+			version: this.version,
+			savedAt: this.updatedAt,
+			name: this.name,
+			description: this.description,
+			prompts: this.prompts,
+			promptOrder: this.promptOrder,
+			promptOrderCharacterId: this.promptOrderCharacterId,
+			parameters: this.parameters,
+		});
+	}
+
+	/**
+	 * Get a previous version of this template
+	 * @param {number} version
+	 * @returns {Object|null}
+	 */
+	getVersion(version) {
+		return this.history.find(entry => entry.version === version) || null;
+	}
+
+	update(fields) {
+		const snapshot = this.createSnapshot();
+
+		if (fields.tags !== undefined) {
+			fields.tags = PromptTemplate.normalizeTags(fields.tags);
+		}
+		if (fields.folder !== undefined) {
+			fields.folder = PromptTemplate.normalizeFolder(fields.folder);
+		}
+		if (fields.parameters !== undefined) {
+			fields.parameters = normalizeTemplateParameters(fields.parameters);
+		}
+
+		// Handle prompt updates specially to maintain validation
+		if (fields.prompts) {
+			this.prompts = this.validateAndNormalizePrompts(fields.prompts);
+			delete fields.prompts;
+		}
+		Object.assign(this, fields);
+
+		// Only content changes create a new version
+		if (summarizeTemplateChanges(snapshot, this).length > 0) {
+			this.history.push(snapshot);
+			if (this.history.length > MAX_TEMPLATE_HISTORY) {
+				this.history.splice(0, this.history.length - MAX_TEMPLATE_HISTORY);
+			}
+			this.version = snapshot.version + 1;
+		}
+		this.updatedAt = new Date().toISOString();
+	}
+
+	/**
+	 * Restore a previous version as a new version, keeping newer versions in history
+	 * @param {number} version
+	 * @returns {boolean} Whether the version was found
+	 */
+	restoreVersion(version) {
+		const snapshot = this.getVersion(version);
+		if (!snapshot) {
+			return false;
+		}
+
+		const restored = deepClone(snapshot);
+		this.update({
+			name: restored.name,
+			description: restored.description,
+			prompts: restored.prompts,
+			promptOrder: restored.promptOrder,
+			promptOrderCharacterId: restored.promptOrderCharacterId,
+			parameters: restored.parameters || [],
+		});
+		return true;
+	}
+}
+
+// PromptTemplateManager: Handles CRUD for prompt templates and template locking
+class PromptTemplateManager {
+	constructor() {
+		/** @type {Map<string, PromptTemplate>} */
+		this.templates = new Map();
+
+		// Prompt configurations from before each template application, newest last
+		this.applyUndoStack = [];
+		// Id of the template whose prompts are currently applied, if known
+		this.activeTemplateId = null;
+		// Prompt configuration to restore after a group member generated with their own template
+		this.groupSpeakerSwap = null;
+		// A group round generates once per member; the drift check runs only for the first
+		this.groupRoundDriftChecked = false;
+		// Connection events fire while settings load; ignore them until the app is ready
+		this.isAppReady = false;
+		// Persona the locks were last resolved for, so a persona switch is handled once
+		this.lastPersona = null;
+
+		// Initialize locking system
+		this.storage = new TemplateStorageAdapter();
+		this.lockManager = new TemplateLockManager(this.storage);
+
+		this.initializeSettings();
+		this.loadTemplatesFromSettings();
+		this.setupEventHandlers();
+	}
+
+	// Initialize extension settings with defaults
+	initializeSettings() {
+		const defaultSettings = {
+			templates: {},
+			templateLocks: {},
+			autoApplyMode: AUTO_APPLY_MODES.ASK,  // 'never', 'ask', or 'always'
+			driftCheckMode: DRIFT_CHECK_MODES.OFF,  // 'off', 'warn', 'confirm', or 'reapply'
+			// Lock sources in priority order, per chat type
+			lockPriority: deepClone(DEFAULT_LOCK_PRIORITY),
+		};
+
+		// Upgrade older settings before filling in defaults
+		// Don't save fresh defaults during initialization - SillyTavern will handle persistence
+		runSettingsMigrations();
+
+		// Ensure all settings exist
+		const settings = getSettingsRoot();
+		for (const [key, value] of Object.entries(defaultSettings)) {
+			if (settings[key] === undefined) {
+				settings[key] = value;
+			}
+		}
+	}
+
+	// Save current state to settings
+	saveSettings() {
+		console.log('CCPM DEBUG: saveSettings called');
+		if (!extension_settings.ccPromptManager) {
+			extension_settings.ccPromptManager = {};
+		}
+
+		const exported = this.exportTemplates({ forStorage: true });
+		console.log('CCPM DEBUG: Exporting templates, count:', exported.length);
+		extension_settings.ccPromptManager.templates = exported.reduce((acc, template) => {
+			acc[template.id] = template;
+			return acc;
+		}, {});
+
+		console.log('CCPM DEBUG: Templates saved to extension_settings, ids:', Object.keys(extension_settings.ccPromptManager.templates));
+		console.log('CCPM DEBUG: Calling saveSettingsDebounced');
+		saveSettingsDebounced();
+	}
+
+	// Load templates from settings
+	loadTemplatesFromSettings() {
+		console.log('CCPM DEBUG: loadTemplatesFromSettings called');
+		console.log('CCPM DEBUG: extension_settings.ccPromptManager exists?', !!extension_settings.ccPromptManager);
+		if (extension_settings.ccPromptManager?.templates) {
+			console.log('CCPM DEBUG: Found templates in extension_settings, count:', Object.keys(extension_settings.ccPromptManager.templates).length);
+			const templateData = Object.values(extension_settings.ccPromptManager.templates);
+			console.log('CCPM DEBUG: Template data to load:', templateData);
+			// Import without saving (avoid infinite loop with SETTINGS_UPDATED event)
+			for (const data of templateData) {
+				const tmpl = new PromptTemplate(data);
+				console.log('CCPM DEBUG: Loading template:', tmpl.id, tmpl.name);
+				this.templates.set(tmpl.id, tmpl);
+			}
+			this.resolveInheritance();
+			console.log('CCPM DEBUG: Templates loaded, this.templates.size:', this.templates.size);
+		} else {
+			console.log('CCPM DEBUG: No templates found in extension_settings');
+		}
+	}
+
+	/**
+	 * Create and store a new prompt template
+	 * @param {Object} data - Template data
+	 * @returns {PromptTemplate}
+	 */
+	createTemplate(data) {
+		console.log('CCPM DEBUG: createTemplate called with data:', data);
+		const tmpl = new PromptTemplate(data);
+		console.log('CCPM DEBUG: PromptTemplate created, id:', tmpl.id, 'name:', tmpl.name);
+		this.templates.set(tmpl.id, tmpl);
+		console.log('CCPM DEBUG: Template added to this.templates Map, size:', this.templates.size);
+		console.log('CCPM DEBUG: Calling saveSettings from createTemplate');
+		this.saveSettings();
+		return tmpl;
+	}
+
+	/**
+	 * Get a template by id
+	 * @param {string} id
+	 * @returns {PromptTemplate|null}
+	 */
+	getTemplate(id) {
+		return this.templates.get(id) || null;
+	}
+
+	/**
+	 * Update a template by id
+	 * @param {string} id
+	 * @param {Object} fields
+	 * @returns {PromptTemplate|null}
+	 */
+	updateTemplate(id, fields) {
+		const tmpl = this.getTemplate(id);
+		if (tmpl) {
+			tmpl.update(fields);
+			this.handleTemplateContentChange(tmpl);
+			this.saveSettings();
+			return tmpl;
+		}
+		return null;
+	}
+
+	/**
+	 * Restore a previous version of a template
+	 * @param {string} id
+	 * @param {number} version
+	 * @returns {PromptTemplate|null}
+	 */
+	restoreTemplateVersion(id, version) {
+		const tmpl = this.getTemplate(id);
+		if (tmpl && tmpl.restoreVersion(version)) {
+			this.handleTemplateContentChange(tmpl);
+			this.saveSettings();
+			return tmpl;
+		}
+		return null;
+	}
+
+	/**
+	 * Delete a template by id
+	 * @param {string} id
+	 * @returns {boolean}
+	 */
+	deleteTemplate(id) {
+		const tmpl = this.getTemplate(id);
+		// Children move up to the deleted template's parent and keep their resolved content
+		for (const child of this.getChildTemplates(id)) {
+			child.parentId = tmpl.parentId;
+			if (child.parentId) {
+				this.captureOverrides(child);
+			} else {
+				child.overrides = null;
+			}
+		}
+
+		const result = this.templates.delete(id);
+		if (result) {
+			this.resolveInheritance();
+			this.saveSettings();
+		}
+		return result;
+	}
+
+	/**
+	 * Get the templates that inherit directly from a template
+	 * @param {string} id
+	 * @returns {PromptTemplate[]}
+	 */
+	getChildTemplates(id) {
+		return this.listTemplates().filter(t => t.parentId === id);
+	}
+
+	/**
+	 * Get a template and its ancestors, root first
+	 * @param {string} id
+	 * @returns {PromptTemplate[]}
+	 */
+	getTemplateChain(id) {
+		const chain = [];
+		let tmpl = this.getTemplate(id);
+		while (tmpl && !chain.includes(tmpl)) {
+			chain.unshift(tmpl);
+			tmpl = tmpl.parentId ? this.getTemplate(tmpl.parentId) : null;
+		}
+		return chain;
+	}
+
+	/**
+	 * Recompute the resolved prompts and prompt order of every child template from its
+	 * parent chain. Children with a missing or circular parent become standalone templates.
+	 */
+	resolveInheritance() {
+		const resolved = new Set();
+		const resolve = (tmpl, path) => {
+			if (resolved.has(tmpl.id)) return;
+			path.add(tmpl.id);
+
+			const parent = tmpl.parentId ? this.getTemplate(tmpl.parentId) : null;
+			if (tmpl.parentId && (!parent || path.has(parent.id))) {
+				console.warn('CCPM: Template parent is missing or circular, detaching:', tmpl.name);
+				if (Object.keys(tmpl.prompts).length === 0) {
+					// Children loaded from settings only have their overrides
+					tmpl.prompts = tmpl.validateAndNormalizePrompts(tmpl.overrides.prompts);
+					tmpl.promptOrder = tmpl.overrides.promptOrder.length > 0
+						? tmpl.overrides.promptOrder
+						: Object.keys(tmpl.prompts).map(identifier => ({ identifier, enabled: true }));
+				}
+				if (tmpl.parameters.length === 0) {
+					tmpl.parameters = tmpl.overrides.parameters;
+				}
+				tmpl.parentId = null;
+				tmpl.overrides = null;
+			} else if (parent) {
+				resolve(parent, path);
+				Object.assign(tmpl, resolveTemplateOverrides(parent, tmpl.overrides));
+			}
+			resolved.add(tmpl.id);
+		};
+
+		for (const tmpl of this.templates.values()) {
+			resolve(tmpl, new Set());
+		}
+	}
+
+	/**
+	 * Store a child template's resolved content as overrides of its parent
+	 * @param {PromptTemplate} tmpl
+	 */
+	captureOverrides(tmpl) {
+		const parent = this.getTemplate(tmpl.parentId);
+		if (parent) {
+			tmpl.overrides = computeTemplateOverrides(parent, tmpl);
+		}
+	}
+
+	/**
+	 * Update overrides after a template's content changed and pass the change down to its children
+	 * @param {PromptTemplate} tmpl
+	 */
+	handleTemplateContentChange(tmpl) {
+		if (tmpl.parentId) {
+			this.captureOverrides(tmpl);
+		}
+		this.resolveInheritance();
+	}
+
+	/**
+	 * Create a template that inherits everything from a parent template
+	 * @param {string} parentId
+	 * @param {string} name
+	 * @param {string} [description]
+	 * @returns {PromptTemplate|null}
+	 */
+	createChildTemplate(parentId, name, description = '') {
+		const parent = this.getTemplate(parentId);
+		if (!parent) {
+			return null;
+		}
+		return this.createTemplate({
+			name,
+			description,
+			parentId,
+			overrides: {},
+			prompts: deepClone(parent.prompts),
+			promptOrder: deepClone(parent.promptOrder),
+			promptOrderCharacterId: parent.promptOrderCharacterId,
+			parameters: deepClone(parent.parameters),
+			characterName: parent.characterName,
+			tags: parent.tags,
+			folder: parent.folder,
+		});
+	}
+
+	/**
+	 * Change the parent of a template, keeping its resolved content
+	 * @param {string} id
+	 * @param {string|null} parentId - New parent, or null to make the template standalone
+	 * @returns {PromptTemplate|null}
+	 */
+	setTemplateParent(id, parentId) {
+		const tmpl = this.getTemplate(id);
+		if (!tmpl) {
+			return null;
+		}
+
+		if (parentId) {
+			if (!this.getTemplate(parentId)) {
+				throw new Error('Parent template not found');
+			}
+			if (this.getTemplateChain(parentId).some(t => t.id === id)) {
+				throw new Error('A template cannot inherit from itself or one of its children');
+			}
+			tmpl.parentId = parentId;
+			this.captureOverrides(tmpl);
+		} else {
+			tmpl.parentId = null;
+			tmpl.overrides = null;
+		}
+
+		this.resolveInheritance();
+		this.saveSettings();
+		return tmpl;
+	}
+
+	/**
+	 * Drop a child template's override of one prompt, so it follows the parent again
+	 * @param {string} id - Child template id
+	 * @param {string} identifier - Prompt identifier
+	 * @returns {PromptTemplate|null}
+	 */
+	revertPromptOverride(id, identifier) {
+		const tmpl = this.getTemplate(id);
+		const parent = tmpl?.parentId ? this.getTemplate(tmpl.parentId) : null;
+		if (!parent) {
+			return null;
+		}
+
+		const prompts = { ...tmpl.prompts };
+		if (parent.prompts[identifier]) {
+			prompts[identifier] = deepClone(parent.prompts[identifier]);
+		} else {
+			delete prompts[identifier];
+		}
+		const promptOrder = prompts[identifier] ? tmpl.promptOrder : tmpl.promptOrder.filter(e => e.identifier !== identifier);
+		return this.updateTemplate(id, { prompts, promptOrder });
+	}
+
+	/**
+	 * Set or clear the conditions of a prompt order entry
+	 * @param {string} id - Template id
+	 * @param {string} identifier - Prompt identifier
+	 * @param {Object|null} conditions - Conditions (chatType, characters, apiSources); empty clears them
+	 * @returns {PromptTemplate|null} Updated template, or null if the entry doesn't exist
+	 */
+	setPromptConditions(id, identifier, conditions) {
+		const tmpl = this.getTemplate(id);
+		if (!tmpl?.promptOrder.some(e => e.identifier === identifier)) {
+			return null;
+		}
+
+		const normalized = normalizePromptConditions(conditions);
+		const promptOrder = tmpl.promptOrder.map(entry => {
+			if (entry.identifier !== identifier) {
+				return entry;
+			}
+			const updated = { ...entry, conditions: normalized };
+			if (!normalized) {
+				delete updated.conditions;
+			}
+			return updated;
+		});
+		return this.updateTemplate(id, { promptOrder });
+	}
+
+	/**
+	 * Whether a prompt of a template is inherited, overridden or added relative to its parent
+	 * @param {PromptTemplate} tmpl
+	 * @param {string} identifier
+	 * @returns {'inherited'|'overridden'|'added'|null} null for templates without a parent
+	 */
+	getPromptInheritance(tmpl, identifier) {
+		if (!tmpl.parentId || !tmpl.overrides) {
+			return null;
+		}
+		if (!tmpl.overrides.prompts[identifier]) {
+			return 'inherited';
+		}
+		return this.getTemplate(tmpl.parentId)?.prompts[identifier] ? 'overridden' : 'added';
+	}
+
+	/**
+	 * List all tags used by templates
+	 * @returns {string[]} Sorted tag names
+	 */
+	listTags() {
+		const tags = new Set(this.listTemplates().flatMap(t => t.tags));
+		return [...tags].sort((a, b) => a.localeCompare(b));
+	}
+
+	/**
+	 * List all folders used by templates
+	 * @returns {string[]} Sorted folder names
+	 */
+	listFolders() {
+		const folders = new Set(this.listTemplates().map(t => t.folder).filter(Boolean));
+		return [...folders].sort((a, b) => a.localeCompare(b));
+	}
+
+	/**
+	 * Search template names, descriptions and prompt contents
+	 * @param {string} query - Case-insensitive text to find
+	 * @param {PromptTemplate[]} [templates] - Templates to search, all by default
+	 * @returns {Array<{template: PromptTemplate, matches: Array}>} Templates with at least one match
+	 */
+	searchTemplates(query, templates = this.listTemplates()) {
+		const needle = String(query ?? '').trim().toLowerCase();
+		if (!needle) return [];
+
+		const SNIPPET_CONTEXT = 40;
+		const findMatch = (text) => {
+			const value = String(text ?? '');
+			const index = value.toLowerCase().indexOf(needle);
+			if (index === -1) return null;
+			const start = Math.max(0, index - SNIPPET_CONTEXT);
+			const end = Math.min(value.length, index + needle.length + SNIPPET_CONTEXT);
+			return {
+				before: (start > 0 ? '…' : '') + value.slice(start, index),
+				match: value.slice(index, index + needle.length),
+				after: value.slice(index + needle.length, end) + (end < value.length ? '…' : ''),
+			};
+		};
+
+		const results = [];
+		for (const template of templates) {
+			const matches = [];
+			const nameMatch = findMatch(template.name);
+			if (nameMatch) matches.push({ field: 'name', snippet: nameMatch });
+			const descriptionMatch = findMatch(template.description);
+			if (descriptionMatch) matches.push({ field: 'description', snippet: descriptionMatch });
+
+			for (const [identifier, prompt] of Object.entries(template.prompts)) {
+				const promptName = prompt.name || identifier;
+				const contentMatch = findMatch(prompt.content);
+				const promptNameMatch = contentMatch ? null : findMatch(promptName);
+				if (contentMatch || promptNameMatch) {
+					matches.push({ field: 'prompt', identifier, promptName, snippet: contentMatch || promptNameMatch });
+				}
+			}
+
+			if (matches.length > 0) {
+				results.push({ template, matches });
+			}
+		}
+		return results;
+	}
+
+	/**
+	 * Find a template by id, falling back to a case-insensitive name match
+	 * @param {string} nameOrId
+	 * @returns {PromptTemplate|null}
+	 */
+	findTemplate(nameOrId) {
+		const query = String(nameOrId ?? '').trim();
+		if (!query) return null;
+
+		const byId = this.getTemplate(query);
+		if (byId) return byId;
+
+		const lowerQuery = query.toLowerCase();
+		return this.listTemplates().find(t => String(t.name).trim().toLowerCase() === lowerQuery) || null;
+	}
+
+	/**
+	 * List all templates
+	 * @returns {PromptTemplate[]}
+	 */
+	listTemplates() {
+		return Array.from(this.templates.values());
+	}
+
+	/**
+	 * Check incoming template data before import
+	 * @param {Object} data - Template data from an import file
+	 * @returns {{errors: string[], warnings: string[]}} Errors prevent the import, warnings don't
+	 */
+	validateImportedTemplate(data) {
+		const errors = [];
+		const warnings = [];
+
+		if (!data || typeof data !== 'object' || Array.isArray(data)) {
+			return { errors: ['Not a template object'], warnings };
+		}
+		if (!data.name || typeof data.name !== 'string') {
+			errors.push('Missing or invalid name');
+		}
+		const hasPrompts = data.prompts && typeof data.prompts === 'object' && Object.keys(data.prompts).length > 0;
+		if (!hasPrompts) {
+			errors.push('Missing or empty prompts');
+		}
+		if (!Array.isArray(data.promptOrder) || data.promptOrder.length === 0) {
+			errors.push('Missing or empty prompt order');
+		}
+		if (errors.length > 0) {
+			return { errors, warnings };
+		}
+
+		const orderIds = data.promptOrder.map(entry => entry?.identifier);
+		const unknownIds = orderIds.filter(identifier => !data.prompts[identifier]);
+		if (unknownIds.length > 0) {
+			warnings.push(`Prompt order references missing prompts: ${unknownIds.join(', ')}`);
+		}
+		const duplicateIds = [...new Set(orderIds.filter((identifier, index) => orderIds.indexOf(identifier) !== index))];
+		if (duplicateIds.length > 0) {
+			warnings.push(`Prompt order lists prompts more than once: ${duplicateIds.join(', ')}`);
+		}
+		const unorderedIds = Object.keys(data.prompts).filter(identifier => !orderIds.includes(identifier));
+		if (unorderedIds.length > 0) {
+			warnings.push(`Prompts not in the prompt order: ${unorderedIds.join(', ')}`);
+		}
+		const invalidConditionIds = data.promptOrder
+			.filter(entry => entry?.conditions && stableStringify(normalizePromptConditions(entry.conditions)) !== stableStringify(entry.conditions))
+			.map(entry => entry.identifier);
+		if (invalidConditionIds.length > 0) {
+			warnings.push(`Invalid or empty conditions will be ignored for: ${invalidConditionIds.join(', ')}`);
+		}
+		const declaredParameters = new Set(normalizeTemplateParameters(data.parameters).map(p => p.name));
+		const undeclaredParameters = new Set(Object.values(data.prompts)
+			.flatMap(prompt => [...String(prompt?.content || '').matchAll(PARAMETER_PATTERN)].map(match => match[1]))
+			.filter(name => !declaredParameters.has(name)));
+		if (undeclaredParameters.size > 0) {
+			warnings.push(`Prompts reference undeclared parameters: ${[...undeclaredParameters].join(', ')}`);
+		}
+		for (const [identifier, prompt] of Object.entries(data.prompts)) {
+			if (prompt?.identifier && prompt.identifier !== identifier) {
+				warnings.push(`Prompt "${identifier}" has identifier "${prompt.identifier}" and will be stored as "${identifier}"`);
+			}
+			if (prompt?.role && !['system', 'user', 'assistant'].includes(prompt.role)) {
+				warnings.push(`Prompt "${identifier}" has unknown role "${prompt.role}"`);
+			}
+		}
+
+		return { errors, warnings };
+	}
+
+	/**
+	 * Fingerprint the prompts and prompt order of a template, ignoring its metadata
+	 * @param {Object} data - Template or template data
+	 * @returns {string}
+	 */
+	getContentFingerprint(data) {
+		return hashString(stableStringify({
+			prompts: new PromptTemplate({ ...data, id: 'fingerprint' }).prompts,
+			promptOrder: data.promptOrder || [],
+		}));
+	}
+
+	/**
+	 * Get a template name that is not used yet, by appending a counter
+	 * @param {string} name
+	 * @param {Set<string>} [reserved] - Additional names to avoid
+	 * @returns {string}
+	 */
+	getUniqueTemplateName(name, reserved = new Set()) {
+		const taken = new Set([...this.listTemplates().map(t => t.name.toLowerCase()), ...[...reserved].map(n => n.toLowerCase())]);
+		if (!taken.has(name.toLowerCase())) {
+			return name;
+		}
+		let counter = 2;
+		while (taken.has(`${name} (${counter})`.toLowerCase())) {
+			counter++;
+		}
+		return `${name} (${counter})`;
+	}
+
+	/**
+	 * Validate incoming templates and find collisions with existing ones, without writing anything
+	 * @param {Array<Object>} arr - Template data from an import file
+	 * @returns {Array<Object>} One entry per incoming template with data, errors, warnings,
+	 *   nameMatch / contentMatch (existing templates) and a suggested action
+	 */
+	previewImport(arr) {
+		const incomingIds = new Set(arr.map(data => data?.id).filter(Boolean));
+		return arr.map((data, index) => {
+			const { errors, warnings } = this.validateImportedTemplate(data);
+			if (errors.length === 0 && data.parentId && !incomingIds.has(data.parentId) && !this.getTemplate(data.parentId)) {
+				warnings.push('Parent template not found; it will be imported as a standalone template');
+			}
+			let nameMatch = null;
+			let contentMatch = null;
+
+			if (errors.length === 0) {
+				const fingerprint = this.getContentFingerprint(data);
+				nameMatch = this.listTemplates().find(t => t.name.trim().toLowerCase() === data.name.trim().toLowerCase()) || null;
+				contentMatch = this.listTemplates().find(t => this.getContentFingerprint(t) === fingerprint) || null;
+			}
+
+			let action = IMPORT_ACTIONS.KEEP_BOTH;
+			if (errors.length > 0 || contentMatch) {
+				// Identical prompts are already in the library
+				action = IMPORT_ACTIONS.SKIP;
+			}
+
+			return { index, data, errors, warnings, nameMatch, contentMatch, action };
+		});
+	}
+
+	/**
+	 * Write previewed templates according to the action chosen for each one
+	 * @param {Array<Object>} entries - Entries from previewImport with their chosen `action`
+	 * @returns {{imported: number, overwritten: number, merged: number, skipped: number}}
+	 */
+	applyImport(entries) {
+		const result = { imported: 0, overwritten: 0, merged: 0, skipped: 0 };
+		const reservedNames = new Set();
+		// Maps IDs from the import file to the templates they ended up in, to link children to parents
+		const idMap = new Map();
+		const changedTemplates = [];
+		const pendingParents = [];
+
+		for (const entry of entries) {
+			const target = entry.nameMatch || entry.contentMatch;
+			const action = entry.errors.length > 0 ? IMPORT_ACTIONS.SKIP : entry.action;
+			const data = deepClone(entry.data);
+			const sourceId = data.id;
+			const sourceParentId = data.parentId;
+			// Imported templates never bring their own ID or history; parents are linked below
+			delete data.id;
+			delete data.version;
+			delete data.history;
+			delete data.createdAt;
+			delete data.parentId;
+			delete data.overrides;
+
+			if (action === IMPORT_ACTIONS.OVERWRITE && target) {
+				// Updating in place keeps the ID (and every lock on it); the old content goes to history
+				target.update({
+					name: data.name,
+					description: data.description || '',
+					prompts: data.prompts,
+					promptOrder: data.promptOrder,
+					promptOrderCharacterId: data.promptOrderCharacterId ?? null,
+					parameters: data.parameters || [],
+					tags: data.tags ?? target.tags,
+					folder: data.folder ?? target.folder,
+				});
+				changedTemplates.push(target);
+				idMap.set(sourceId, target.id);
+				result.overwritten++;
+			} else if (action === IMPORT_ACTIONS.MERGE && target) {
+				const isMarker = (identifier) => !!(data.prompts[identifier]?.marker || target.prompts[identifier]?.marker);
+				target.update({
+					description: target.description || data.description || '',
+					prompts: { ...target.prompts, ...data.prompts },
+					promptOrder: mergePromptOrder(target.promptOrder, data.promptOrder, ORDER_MERGE_MODES.MARKERS, isMarker),
+					parameters: [...target.parameters, ...normalizeTemplateParameters(data.parameters).filter(p => !target.parameters.some(t => t.name === p.name))],
+					tags: [...target.tags, ...PromptTemplate.normalizeTags(data.tags)],
+				});
+				changedTemplates.push(target);
+				idMap.set(sourceId, target.id);
+				result.merged++;
+			} else if (action === IMPORT_ACTIONS.KEEP_BOTH || (action !== IMPORT_ACTIONS.SKIP && !target)) {
+				data.name = this.getUniqueTemplateName(data.name, reservedNames);
+				reservedNames.add(data.name);
+				const tmpl = new PromptTemplate(data);
+				this.templates.set(tmpl.id, tmpl);
+				idMap.set(sourceId, tmpl.id);
+				if (sourceParentId) {
+					pendingParents.push({ tmpl, sourceParentId });
+				}
+				result.imported++;
+			} else {
+				result.skipped++;
+			}
+		}
 
-    onContextChanged() {
-        this.chatContext.invalidate();
-        this.loadCurrentLocks();
-    }
-}
+		// Imported children inherit from their imported (or already existing) parent when there is one
+		for (const { tmpl, sourceParentId } of pendingParents) {
+			const parentId = idMap.get(sourceParentId) ?? (this.getTemplate(sourceParentId) ? sourceParentId : null);
+			if (parentId && !this.getTemplateChain(parentId).some(t => t.id === tmpl.id)) {
+				tmpl.parentId = parentId;
+				changedTemplates.push(tmpl);
+			}
+		}
+		for (const tmpl of changedTemplates) {
+			if (tmpl.parentId) {
+				this.captureOverrides(tmpl);
+			}
+		}
+		this.resolveInheritance();
+
+		if (result.imported + result.overwritten + result.merged > 0) {
+			this.saveSettings();
+		}
+
+		return result;
+	}
 
-// PromptTemplate: Represents a reusable prompt template
-class PromptTemplate {
 	/**
-	 * @param {Object} param0
-	 * @param {string} param0.name - Name of the template
-	 * @param {string} param0.description - Description of the template
-	 * @param {Object} param0.prompts - SillyTavern prompt configuration object
-	 * @param {Array} [param0.promptOrder] - Order of prompts
-	 * @param {string} [param0.characterName] - Name of character this template was created for
-	 * @param {string} [param0.id] - Optional unique identifier
+	 * Import templates from array as new templates, without a preview
+	 * @param {Array<Object>} arr
+	 * @returns {{imported: number, skipped: number}}
 	 */
-	constructor({ name, description, prompts, promptOrder, characterName, id }) {
-		this.id = id || PromptTemplate.generateId();
-		this.name = name;
-		this.description = description;
-		// Store ST-compatible prompt structure
-		this.prompts = this.validateAndNormalizePrompts(prompts || {});
-		this.promptOrder = promptOrder || [];
-		this.characterName = characterName || null; // Store for reference/display
-		this.createdAt = new Date().toISOString();
-		this.updatedAt = new Date().toISOString();
+	importTemplates(arr) {
+		const entries = this.previewImport(arr).map(entry => ({ ...entry, action: IMPORT_ACTIONS.KEEP_BOTH }));
+		const { imported, skipped } = this.applyImport(entries);
+		return { imported, skipped };
 	}
 
 	/**
-	 * Validate and normalize prompts to SillyTavern format
-	 * @param {Object} prompts - Raw prompt data
-	 * @returns {Object} - Normalized SillyTavern prompt structure
+	 * Export all templates as array
+	 * @param {Object} [options]
+	 * @param {boolean} [options.includeHistory=true] - Include version history
+	 * @param {boolean} [options.forStorage=false] - Store child templates as overrides only
+	 * @returns {Array<Object>}
 	 */
-	validateAndNormalizePrompts(prompts) {
-		const normalized = {};
+	exportTemplates({ includeHistory = true, forStorage = false } = {}) {
+		return this.listTemplates().map(t => ({
+			id: t.id,
+			name: t.name,
+			description: t.description,
+			...(forStorage && t.parentId
+				? { overrides: t.overrides }
+				: { prompts: t.prompts, promptOrder: t.promptOrder, promptOrderCharacterId: t.promptOrderCharacterId, parameters: t.parameters }),
+			parentId: t.parentId,
+			characterName: t.characterName,
+			createdAt: t.createdAt,
+			updatedAt: t.updatedAt,
+			tags: t.tags,
+			folder: t.folder,
+			...(includeHistory ? { version: t.version, history: t.history } : {}),
+		}));
+	}
 
-		// Accept all prompts - ST supports many identifiers dynamically
-		// Don't filter by a hardcoded list to avoid data loss
-		for (const [identifier, promptData] of Object.entries(prompts)) {
-			if (identifier && promptData && typeof promptData === 'object') {
-				// Keep all existing properties from ST's prompt structure
-				normalized[identifier] = {
-					identifier: identifier,
-					...promptData  // Preserve all ST prompt properties
-				};
+	/**
+	 * Convert a chat-completion preset into template data for importTemplates
+	 * @param {Object} preset - Preset JSON with `prompts` and `prompt_order`
+	 * @param {Object} options
+	 * @param {string} options.name - Template name
+	 * @param {number|string} options.characterId - `character_id` of the prompt_order entry to use
+	 * @param {string} [options.description]
+	 * @returns {Object} Template data
+	 */
+	templateDataFromPreset(preset, { name, characterId, description = '' }) {
+		const orderEntry = preset.prompt_order.find(entry => String(entry.character_id) === String(characterId));
+		if (!orderEntry) {
+			throw new Error(`Preset has no prompt order for character_id ${characterId}`);
+		}
+
+		const prompts = {};
+		for (const prompt of preset.prompts) {
+			if (prompt?.identifier) {
+				prompts[prompt.identifier] = deepClone(prompt);
 			}
 		}
 
-		return normalized;
+		return {
+			name,
+			description,
+			prompts,
+			promptOrder: deepClone(orderEntry.order || []),
+			promptOrderCharacterId: orderEntry.character_id,
+		};
 	}
 
 	/**
-	 * Get default name for prompt identifier
-	 * @param {string} identifier
-	 * @returns {string}
+	 * Export a template as a chat-completion preset fragment that ST can import
+	 * @param {string} id - Template id
+	 * @returns {{prompts: Array<Object>, prompt_order: Array<Object>}|null}
 	 */
-	getDefaultPromptName(identifier) {
-		const names = {
-			'main': 'Main Prompt',
-			'nsfw': 'NSFW Prompt',
-			'jailbreak': 'Jailbreak Prompt',
-			'impersonation': 'Impersonation Prompt',
-			'utility': 'Utility Prompt'
+	exportTemplateAsPreset(id) {
+		const tmpl = this.getTemplate(id);
+		if (!tmpl) {
+			return null;
+		}
+		return {
+			prompts: deepClone(Object.values(tmpl.prompts)),
+			prompt_order: [{
+				character_id: tmpl.promptOrderCharacterId ?? 100000,
+				order: deepClone(tmpl.promptOrder),
+			}],
 		};
-		return names[identifier] || identifier;
 	}
 
-	static generateId() {
-		return 'tmpl_' + Math.random().toString(36).substr(2, 9);
+	/**
+	 * Get what conditional prompt order entries are checked against: the chat type, the
+	 * character (or group members, or the drafted speaker) and the chat completion source
+	 * @param {string|null} [speakerAvatar] - Group member the template is applied for
+	 * @returns {{chatType: string, characters: string[], apiSource: string|null}}
+	 */
+	getConditionContext(speakerAvatar = null) {
+		const context = this.lockManager.chatContext.getCurrent();
+		let members;
+		if (speakerAvatar) {
+			members = [speakerAvatar];
+		} else if (context.isGroupChat) {
+			members = groups?.find(x => x.id === context.groupId)?.members || [];
+		} else {
+			members = [context.characterAvatar].filter(Boolean);
+		}
+		// Rules can name characters by avatar filename or by name
+		const names = members.map(avatar => characters?.find(x => x.avatar === avatar)?.name).filter(Boolean);
+		if (!context.isGroupChat && context.characterName) {
+			names.push(context.characterName);
+		}
+
+		return {
+			chatType: context.type,
+			characters: [...new Set([...members, ...names])],
+			apiSource: oai_settings.chat_completion_source || null,
+		};
 	}
 
-	update(fields) {
-		// Handle prompt updates specially to maintain validation
-		if (fields.prompts) {
-			this.prompts = this.validateAndNormalizePrompts(fields.prompts);
-			delete fields.prompts;
+	/**
+	 * Compute the prompts and prompt order that applying a template would produce,
+	 * without touching the live settings
+	 * @param {PromptTemplate} tmpl - Template to apply
+	 * @param {Object} options - Apply options (applyMode, orderMergeMode, parameterValues, speakerAvatar)
+	 * @returns {{prompts: Array, promptOrder: Array, targetCharacterId: (number|string|null)}}
+	 */
+	buildAppliedConfig(tmpl, options = {}) {
+		const { applyMode, orderMergeMode } = resolveApplyOptions(options);
+		const currentPrompts = Array.isArray(oai_settings.prompts) ? oai_settings.prompts : [];
+
+		// Copies keep later edits in ST's Prompt Manager from changing the template
+		const parameterValues = resolveParameterValues(tmpl.parameters, options.parameterValues);
+		const promptUpdates = deepClone(Object.values(tmpl.prompts)).map(prompt => (
+			typeof prompt.content === 'string' ? { ...prompt, content: substituteParameters(prompt.content, parameterValues) } : prompt
+		));
+		let prompts;
+		if (applyMode === APPLY_MODES.MERGE) {
+			// Overwrite only the template's identifiers and keep every other prompt
+			prompts = [...currentPrompts];
+			for (const prompt of promptUpdates) {
+				const index = prompts.findIndex(p => p.identifier === prompt.identifier);
+				if (index !== -1) {
+					prompts[index] = prompt;
+				} else {
+					prompts.push(prompt);
+				}
+			}
+		} else {
+			// Replace entire prompts array with template prompts (like preset import)
+			prompts = promptUpdates;
 		}
-		Object.assign(this, fields);
-		this.updatedAt = new Date().toISOString();
+
+		const promptOrder = deepClone(oai_settings.prompt_order || []);
+		let targetCharacterId = null;
+		if (orderMergeMode !== ORDER_MERGE_MODES.KEEP && Array.isArray(tmpl.promptOrder) && tmpl.promptOrder.length > 0) {
+			const templateOrder = resolveConditionalOrder(tmpl.promptOrder, this.getConditionContext(options.speakerAvatar));
+			// Use the character_id that was stored when the template was created
+			// This ensures we apply to the same character_id (e.g., 100001) that was captured
+			targetCharacterId = tmpl.promptOrderCharacterId ?? 100000;
+			const existingOrderEntry = promptOrder.find(entry => String(entry.character_id) === String(targetCharacterId));
+			if (existingOrderEntry) {
+				// Replace existing order, or combine it with the template's order
+				const isMarker = (identifier) => !!(tmpl.prompts[identifier]?.marker || currentPrompts.find(p => p.identifier === identifier)?.marker);
+				existingOrderEntry.order = mergePromptOrder(existingOrderEntry.order || [], templateOrder, orderMergeMode, isMarker);
+			} else {
+				promptOrder.push({
+					character_id: targetCharacterId,
+					order: templateOrder,
+				});
+			}
+		}
+
+		return { prompts, promptOrder, targetCharacterId };
 	}
-}
 
-// PromptTemplateManager: Handles CRUD for prompt templates and template locking
-class PromptTemplateManager {
-	constructor() {
-		/** @type {Map<string, PromptTemplate>} */
-		this.templates = new Map();
+	/**
+	 * Apply a template to SillyTavern's prompt system
+	 * @param {string} templateId
+	 * @param {Object} [options]
+	 * @param {string} [options.applyMode] - One of APPLY_MODES, replaces all prompts by default
+	 * @param {string} [options.orderMergeMode] - One of ORDER_MERGE_MODES, defaults to replace (markers when merging)
+	 * @param {boolean} [options.recordUndo=true] - Save the current prompts so this application can be undone
+	 * @param {boolean} [options.silent=false] - Don't show a success toast
+	 * @param {string} [options.speakerAvatar] - Group member to check conditional prompts against, instead of the whole group
+	 * @returns {Promise<boolean>} Success status
+	 */
+	async applyTemplate(templateId, options = {}) {
+		const tmpl = this.getTemplate(templateId);
+		if (!tmpl) {
+			toastr.error('Template not found: ' + templateId);
+			return false;
+		}
 
-		// Initialize locking system
-		this.storage = new TemplateStorageAdapter();
-		this.lockManager = new TemplateLockManager(this.storage);
+		const { applyMode, orderMergeMode } = resolveApplyOptions(options);
 
-		this.initializeSettings();
-		this.loadTemplatesFromSettings();
-		this.setupEventHandlers();
+		console.log('CCPM DEBUG: applyTemplate called for:', tmpl.name, 'id:', templateId, 'mode:', applyMode, 'order:', orderMergeMode);
+		console.log('CCPM DEBUG: Template prompt identifiers:', Object.keys(tmpl.prompts));
+
+		try {
+			if (!promptManager) {
+				toastr.error('PromptManager not available');
+				return false;
+			}
+
+			// Log current state BEFORE applying
+			console.log('CCPM DEBUG: Current oai_settings.prompts identifiers BEFORE:', oai_settings.prompts?.map(p => p.identifier) || 'none');
+
+			// Captured now, but only kept once the application succeeded
+			const undoEntry = options.recordUndo !== false ? this.createApplyUndoEntry(tmpl) : null;
+
+			const config = this.buildAppliedConfig(tmpl, { applyMode, orderMergeMode, parameterValues: options.parameterValues, speakerAvatar: options.speakerAvatar });
+			oai_settings.prompts = config.prompts;
+			oai_settings.prompt_order = config.promptOrder;
+			console.log('CCPM DEBUG: Current oai_settings.prompts identifiers AFTER apply:', oai_settings.prompts.map(p => p.identifier));
+
+			if (config.targetCharacterId !== null) {
+				// Update promptManager's activeCharacter to match the template
+				if (promptManager && promptManager.activeCharacter) {
+					promptManager.activeCharacter.id = config.targetCharacterId;
+					console.log('CCPM DEBUG: Updated promptManager.activeCharacter.id to', config.targetCharacterId);
+				}
+				console.log('CCPM: Restored prompt order for character', config.targetCharacterId, ':', tmpl.promptOrder.length, 'items');
+			} else {
+				console.log('CCPM DEBUG: No promptOrder in template or empty array');
+			}
+
+			// Save settings and trigger update using PromptManager's method
+			// Important: Save first, then render (matches ST's pattern)
+			console.log('CCPM DEBUG: Calling promptManager.saveServiceSettings()');
+			await promptManager.saveServiceSettings();
+
+			console.log('CCPM DEBUG: Calling promptManager.render()');
+			await promptManager.render();
+
+			this.activeTemplateId = tmpl.id;
+			this.recordLastApplied(tmpl, { applyMode, orderMergeMode, parameterValues: options.parameterValues });
+			if (undoEntry) {
+				this.pushApplyUndo(undoEntry);
+			}
+
+			if (!options.silent && undoEntry) {
+				const toast = toastr.success(
+					`Template "${escapeHtml(tmpl.name)}" applied <button class="menu_button ccpm-undo-apply-toast" data-undo-id="${undoEntry.id}">Undo</button>`,
+					'',
+					{ escapeHtml: false, timeOut: 8000 }
+				);
+				// The toast undoes its own application, not whichever came last
+				$(toast).find('.ccpm-undo-apply-toast').on('click', () => this.undoLastApply(undoEntry.id));
+			} else if (!options.silent) {
+				toastr.success(`Template "${tmpl.name}" applied`);
+			}
+			console.log('CCPM: Template applied successfully:', tmpl.name);
+			return true;
+		} catch (error) {
+			console.error('CCPM: Failed to apply template:', error);
+			toastr.error('Failed to apply template: ' + error.message);
+			return false;
+		}
 	}
 
-	// Initialize extension settings with defaults
-	initializeSettings() {
-		const defaultSettings = {
-			templates: {},
-			templateLocks: {},
-			autoApplyMode: AUTO_APPLY_MODES.ASK,  // 'never', 'ask', or 'always'
-			// Priority preferences for single chat (character vs chat)
-			preferCharacterOverChat: true,
-			// Priority preferences for group chat (group vs chat vs character)
-			preferGroupOverChat: true,
-			preferIndividualCharacterInGroup: false,
-			version: '1.0.0'
+	/**
+	 * Capture the current prompts and prompt order before a template is applied
+	 * @param {PromptTemplate} tmpl - Template about to be applied
+	 * @returns {Object} Undo entry for pushApplyUndo
+	 */
+	createApplyUndoEntry(tmpl) {
+		return {
+			id: 'undo_' + Math.random().toString(36).substr(2, 9),
+			templateId: tmpl.id,
+			templateName: tmpl.name,
+			appliedAt: new Date().toISOString(),
+			...this.capturePromptConfig(),
 		};
+	}
 
-		if (!extension_settings.ccPromptManager) {
-			extension_settings.ccPromptManager = defaultSettings;
-			// Don't save during initialization - SillyTavern will handle persistence
+	/**
+	 * Keep an undo entry once its template application succeeded
+	 * @param {Object} entry - Entry from createApplyUndoEntry
+	 */
+	pushApplyUndo(entry) {
+		this.applyUndoStack.push(entry);
+		if (this.applyUndoStack.length > MAX_APPLY_UNDO) {
+			this.applyUndoStack.shift();
 		}
+		updateUndoApplyButton();
+	}
 
-		// Ensure all settings exist
-		if (extension_settings.ccPromptManager.preferCharacterOverChat === undefined) {
-			extension_settings.ccPromptManager.preferCharacterOverChat = true;
-		}
-		if (extension_settings.ccPromptManager.preferGroupOverChat === undefined) {
-			extension_settings.ccPromptManager.preferGroupOverChat = true;
-		}
-		if (extension_settings.ccPromptManager.preferIndividualCharacterInGroup === undefined) {
-			extension_settings.ccPromptManager.preferIndividualCharacterInGroup = false;
-		}
+	/**
+	 * Copy the live prompts, prompt order and active template so they can be restored later
+	 * @returns {Object}
+	 */
+	capturePromptConfig() {
+		return {
+			prompts: deepClone(oai_settings.prompts || []),
+			promptOrder: deepClone(oai_settings.prompt_order || []),
+			activeCharacterId: promptManager?.activeCharacter?.id ?? null,
+			previousTemplateId: this.activeTemplateId,
+			previousLastApplied: deepClone(this.getLastApplied()),
+		};
+	}
 
-		// Migrate old setting if it exists
-		if (extension_settings.ccPromptManager.autoApplyLocked && !extension_settings.ccPromptManager.autoApplyMode) {
-			const oldValue = extension_settings.ccPromptManager.autoApplyLocked;
-			extension_settings.ccPromptManager.autoApplyMode = oldValue === 'auto' ? AUTO_APPLY_MODES.ALWAYS : oldValue === 'ask' ? AUTO_APPLY_MODES.ASK : AUTO_APPLY_MODES.NEVER;
-			delete extension_settings.ccPromptManager.autoApplyLocked;
+	/**
+	 * Restore a configuration captured by capturePromptConfig and re-render ST's Prompt Manager
+	 * @param {Object} config
+	 */
+	async restorePromptConfig(config) {
+		oai_settings.prompts = config.prompts;
+		oai_settings.prompt_order = config.promptOrder;
+		if (promptManager?.activeCharacter && config.activeCharacterId !== null) {
+			promptManager.activeCharacter.id = config.activeCharacterId;
 		}
+		this.activeTemplateId = config.previousTemplateId ?? null;
+		getSettingsRoot().lastApplied = config.previousLastApplied ?? null;
+
+		await promptManager.saveServiceSettings();
+		await promptManager.render();
+		updateModifiedIndicator();
 	}
 
-	// Save current state to settings
-	saveSettings() {
-		console.log('CCPM DEBUG: saveSettings called');
-		if (!extension_settings.ccPromptManager) {
-			extension_settings.ccPromptManager = {};
+	/**
+	 * Whether there is a template application to undo
+	 * @returns {boolean}
+	 */
+	canUndoApply() {
+		return this.applyUndoStack.length > 0;
+	}
+
+	/**
+	 * Restore the prompts from before the last template application. The entry is only
+	 * removed once the prompts were restored, so a failed undo can be retried.
+	 * @param {string} [entryId] - Only undo if this entry is still the last application
+	 * @returns {Promise<boolean>} Success status
+	 */
+	async undoLastApply(entryId = null) {
+		const entry = this.applyUndoStack.at(-1);
+		if (!entry) {
+			toastr.info('Nothing to undo');
+			return false;
+		}
+		// Undoing an older application would also throw away the ones after it
+		if (entryId && entry.id !== entryId) {
+			toastr.info('Only the last template application can be undone');
+			updateUndoApplyButton();
+			return false;
 		}
 
-		const exported = this.exportTemplates();
-		console.log('CCPM DEBUG: Exporting templates, count:', exported.length);
-		extension_settings.ccPromptManager.templates = exported.reduce((acc, template) => {
-			acc[template.id] = template;
-			return acc;
-		}, {});
+		try {
+			await this.restorePromptConfig(entry);
+			this.applyUndoStack.pop();
 
-		console.log('CCPM DEBUG: Templates saved to extension_settings, ids:', Object.keys(extension_settings.ccPromptManager.templates));
-		console.log('CCPM DEBUG: Calling saveSettingsDebounced');
-		saveSettingsDebounced();
+			toastr.success(`Restored prompts from before "${entry.templateName}" was applied`);
+			console.log('CCPM: Undid template application:', entry.templateName);
+			updateUndoApplyButton();
+			return true;
+		} catch (error) {
+			console.error('CCPM: Failed to undo template application:', error);
+			toastr.error('Failed to undo template application: ' + error.message);
+			return false;
+		}
 	}
 
-	// Load templates from settings
-	loadTemplatesFromSettings() {
-		console.log('CCPM DEBUG: loadTemplatesFromSettings called');
-		console.log('CCPM DEBUG: extension_settings.ccPromptManager exists?', !!extension_settings.ccPromptManager);
-		if (extension_settings.ccPromptManager?.templates) {
-			console.log('CCPM DEBUG: Found templates in extension_settings, count:', Object.keys(extension_settings.ccPromptManager.templates).length);
-			const templateData = Object.values(extension_settings.ccPromptManager.templates);
-			console.log('CCPM DEBUG: Template data to load:', templateData);
-			// Import without saving (avoid infinite loop with SETTINGS_UPDATED event)
-			for (const data of templateData) {
-				const tmpl = new PromptTemplate(data);
-				console.log('CCPM DEBUG: Loading template:', tmpl.id, tmpl.name);
-				this.templates.set(tmpl.id, tmpl);
-			}
-			console.log('CCPM DEBUG: Templates loaded, this.templates.size:', this.templates.size);
-		} else {
-			console.log('CCPM DEBUG: No templates found in extension_settings');
-		}
+	/**
+	 * Fingerprint the live prompts and prompt order a template application wrote
+	 * @param {Object} scope
+	 * @param {string[]|null} scope.identifiers - Prompt identifiers to include, or null for all prompts
+	 * @param {boolean} scope.includeOrder - Whether the active prompt order is included
+	 * @returns {string}
+	 */
+	computePromptFingerprint({ identifiers = null, includeOrder = true } = {}) {
+		const live = this.getLiveTemplateState();
+		const prompts = identifiers
+			? Object.fromEntries(identifiers.map(identifier => [identifier, live.prompts[identifier] ?? null]))
+			: live.prompts;
+		return hashString(stableStringify({
+			prompts,
+			promptOrder: includeOrder ? live.promptOrder : null,
+			promptOrderCharacterId: includeOrder ? live.promptOrderCharacterId : null,
+		}));
 	}
 
 	/**
-	 * Create and store a new prompt template
-	 * @param {Object} data - Template data
-	 * @returns {PromptTemplate}
+	 * Get the fingerprint scope for a template applied with the given options: merge mode
+	 * only writes the template's own prompts, and "keep" order mode leaves the order alone
+	 * @param {PromptTemplate} tmpl
+	 * @param {Object} options - Apply options
+	 * @returns {{identifiers: (string[]|null), includeOrder: boolean}}
 	 */
-	createTemplate(data) {
-		console.log('CCPM DEBUG: createTemplate called with data:', data);
-		const tmpl = new PromptTemplate(data);
-		console.log('CCPM DEBUG: PromptTemplate created, id:', tmpl.id, 'name:', tmpl.name);
-		this.templates.set(tmpl.id, tmpl);
-		console.log('CCPM DEBUG: Template added to this.templates Map, size:', this.templates.size);
-		console.log('CCPM DEBUG: Calling saveSettings from createTemplate');
-		this.saveSettings();
-		return tmpl;
+	getFingerprintScope(tmpl, options) {
+		const { applyMode, orderMergeMode } = resolveApplyOptions(options);
+		return {
+			identifiers: applyMode === APPLY_MODES.MERGE ? Object.keys(tmpl.prompts) : null,
+			includeOrder: orderMergeMode !== ORDER_MERGE_MODES.KEEP,
+		};
 	}
 
 	/**
-	 * Get a template by id
-	 * @param {string} id
-	 * @returns {PromptTemplate|null}
+	 * Remember which template was applied last and a fingerprint of what it wrote
+	 * @param {PromptTemplate} tmpl
+	 * @param {Object} options - Apply options the template was applied with
 	 */
-	getTemplate(id) {
-		return this.templates.get(id) || null;
+	recordLastApplied(tmpl, options) {
+		getSettingsRoot().lastApplied = {
+			templateId: tmpl.id,
+			...resolveApplyOptions(options),
+			...(options.parameterValues ? { parameterValues: deepClone(options.parameterValues) } : {}),
+			// Conditional prompts were evaluated against this source
+			apiSource: oai_settings.chat_completion_source || null,
+			fingerprint: this.computePromptFingerprint(this.getFingerprintScope(tmpl, options)),
+			appliedAt: new Date().toISOString(),
+		};
+		saveSettingsDebounced();
+		updateModifiedIndicator();
 	}
 
 	/**
-	 * Update a template by id
-	 * @param {string} id
-	 * @param {Object} fields
-	 * @returns {PromptTemplate|null}
+	 * Get the record of the last template application
+	 * @returns {{templateId: string, applyMode: string, orderMergeMode: string, parameterValues?: Object, fingerprint: string, appliedAt: string}|null}
 	 */
-	updateTemplate(id, fields) {
-		const tmpl = this.getTemplate(id);
-		if (tmpl) {
-			tmpl.update(fields);
-			this.saveSettings();
-			return tmpl;
-		}
-		return null;
+	getLastApplied() {
+		return getSettingsRoot().lastApplied || null;
 	}
 
 	/**
-	 * Delete a template by id
-	 * @param {string} id
-	 * @returns {boolean}
+	 * Get the last applied template and whether the live prompts changed since it was applied
+	 * @returns {{template: PromptTemplate, modified: boolean, options: Object}|null} null if nothing was applied or the template is gone
 	 */
-	deleteTemplate(id) {
-		const result = this.templates.delete(id);
-		if (result) {
-			this.saveSettings();
+	getAppliedTemplateStatus() {
+		const lastApplied = this.getLastApplied();
+		const template = lastApplied && this.getTemplate(lastApplied.templateId);
+		if (!template) {
+			return null;
 		}
-		return result;
+		const options = { applyMode: lastApplied.applyMode, orderMergeMode: lastApplied.orderMergeMode, parameterValues: lastApplied.parameterValues };
+		const fingerprint = this.computePromptFingerprint(this.getFingerprintScope(template, options));
+		return { template, options, modified: fingerprint !== lastApplied.fingerprint };
 	}
 
 	/**
-	 * List all templates
-	 * @returns {PromptTemplate[]}
+	 * Re-apply the last applied template with the options it was applied with
+	 * @returns {Promise<boolean>} Success status
 	 */
-	listTemplates() {
-		return Array.from(this.templates.values());
+	async reapplyLastApplied() {
+		const status = this.getAppliedTemplateStatus();
+		if (!status) {
+			toastr.info('No applied template to re-apply');
+			return false;
+		}
+		return this.applyTemplate(status.template.id, status.options);
 	}
 
 	/**
-	 * Import templates from array
-	 * @param {Array<Object>} arr
+	 * Save the live prompts into the last applied template. In merge mode only the template's
+	 * own prompts (and their order entries) are taken over.
+	 * @returns {PromptTemplate|null} The updated template
 	 */
-	importTemplates(arr) {
-		let imported = 0;
-		let skipped = 0;
-
-		for (const data of arr) {
-			// Validate required fields
-			if (!data.name || typeof data.name !== 'string') {
-				console.warn('CCPM: Skipping template - missing or invalid name');
-				skipped++;
-				continue;
-			}
-
-			if (!data.prompts || typeof data.prompts !== 'object' || Object.keys(data.prompts).length === 0) {
-				console.warn('CCPM: Skipping template - missing or empty prompts:', data.name);
-				skipped++;
-				continue;
-			}
+	updateLastAppliedFromLive() {
+		const status = this.getAppliedTemplateStatus();
+		if (!status) {
+			toastr.info('No applied template to update');
+			return null;
+		}
 
-			if (!data.promptOrder || !Array.isArray(data.promptOrder) || data.promptOrder.length === 0) {
-				console.warn('CCPM: Skipping template - missing or empty promptOrder:', data.name);
-				skipped++;
-				continue;
-			}
+		const { template, options } = status;
+		const { applyMode, orderMergeMode } = resolveApplyOptions(options);
+		const live = this.getLiveTemplateState();
+		const fields = {};
 
-			// Force regenerate ID to prevent XSS from malicious imported templates
-			delete data.id;
-			const tmpl = new PromptTemplate(data);
-			this.templates.set(tmpl.id, tmpl);
-			imported++;
+		if (applyMode === APPLY_MODES.MERGE) {
+			fields.prompts = Object.fromEntries(Object.keys(template.prompts)
+				.filter(identifier => live.prompts[identifier])
+				.map(identifier => [identifier, live.prompts[identifier]]));
+		} else {
+			fields.prompts = live.prompts;
 		}
 
-		if (imported > 0) {
-			this.saveSettings();
+		// Prompts that still match what was applied keep their {{param:...}} placeholders
+		const applied = this.buildAppliedConfig(template, options).prompts;
+		for (const identifier of Object.keys(fields.prompts)) {
+			const appliedPrompt = applied.find(p => p.identifier === identifier);
+			if (template.prompts[identifier] && stableStringify(appliedPrompt) === stableStringify(fields.prompts[identifier])) {
+				fields.prompts[identifier] = template.prompts[identifier];
+			}
+		}
+		if (orderMergeMode !== ORDER_MERGE_MODES.KEEP) {
+			fields.promptOrder = applyMode === APPLY_MODES.MERGE
+				? live.promptOrder.filter(entry => fields.prompts[entry.identifier])
+				: live.promptOrder;
+			fields.promptOrderCharacterId = live.promptOrderCharacterId;
+
+			// Conditional entries keep their conditions, and their enabled flag unless it was toggled by hand
+			const conditionContext = this.getConditionContext();
+			fields.promptOrder = fields.promptOrder.map(entry => {
+				const templateEntry = template.promptOrder.find(e => e.identifier === entry.identifier);
+				if (!templateEntry?.conditions) {
+					return entry;
+				}
+				const appliedEnabled = !!templateEntry.enabled && evaluatePromptConditions(normalizePromptConditions(templateEntry.conditions), conditionContext);
+				return {
+					...entry,
+					enabled: entry.enabled === appliedEnabled ? templateEntry.enabled : entry.enabled,
+					conditions: deepClone(templateEntry.conditions),
+				};
+			});
 		}
 
-		return { imported, skipped };
+		const updated = this.updateTemplate(template.id, fields);
+		this.recordLastApplied(updated, options);
+		return updated;
 	}
 
 	/**
-	 * Export all templates as array
-	 * @returns {Array<Object>}
+	 * Get the live prompts from oai_settings keyed by identifier
+	 * @returns {Object}
 	 */
-	exportTemplates() {
-		return this.listTemplates().map(t => ({
-			id: t.id,
-			name: t.name,
-			description: t.description,
-			prompts: t.prompts,
-			promptOrder: t.promptOrder,
-			characterName: t.characterName,
-			createdAt: t.createdAt,
-			updatedAt: t.updatedAt,
-		}));
+	getLivePromptsMap() {
+		const availablePrompts = oai_settings.prompts || [];
+		return Array.isArray(availablePrompts)
+			? availablePrompts.reduce((acc, p) => {
+				if (p.identifier) acc[p.identifier] = p;
+				return acc;
+			}, {})
+			: availablePrompts;
 	}
 
 	/**
-	 * Apply a template to SillyTavern's prompt system
-	 * @param {string} templateId
-	 * @returns {Promise<boolean>} Success status
+	 * Get the live prompt configuration in the same shape as a template, for comparisons
+	 * @returns {Object}
+	 */
+	getLiveTemplateState() {
+		const activeCharacter = promptManager?.activeCharacter;
+		return {
+			id: LIVE_PROMPTS_ID,
+			name: 'Live prompts',
+			description: '',
+			prompts: deepClone(this.getLivePromptsMap()),
+			promptOrder: activeCharacter ? deepClone(promptManager.getPromptOrderForCharacter(activeCharacter)) : [],
+			promptOrderCharacterId: activeCharacter?.id ?? null,
+		};
+	}
+
+	/**
+	 * Get a template or the live prompts by id, for comparisons
+	 * @param {string} id - Template id or LIVE_PROMPTS_ID
+	 * @returns {Object|null}
+	 */
+	getComparableState(id) {
+		return id === LIVE_PROMPTS_ID ? this.getLiveTemplateState() : this.getTemplate(id);
+	}
+
+	/**
+	 * Compare the live prompt configuration with what applying a template would produce
+	 * @param {string} templateId - Template id
+	 * @param {Object} [options] - Apply options the template is applied with
+	 * @returns {string[]|null} Human-readable differences (empty when in sync), or null if the template is missing
 	 */
-	async applyTemplate(templateId) {
+	getTemplateDrift(templateId, options = {}) {
 		const tmpl = this.getTemplate(templateId);
 		if (!tmpl) {
-			toastr.error('Template not found: ' + templateId);
-			return false;
+			return null;
 		}
 
-		console.log('CCPM DEBUG: applyTemplate called for:', tmpl.name, 'id:', templateId);
-		console.log('CCPM DEBUG: Template prompt identifiers:', Object.keys(tmpl.prompts));
-
-		try {
-			if (!promptManager) {
-				toastr.error('PromptManager not available');
-				return false;
-			}
+		const live = this.getLiveTemplateState();
+		const expected = this.buildAppliedConfig(tmpl, options);
+		const orderCharacterId = expected.targetCharacterId ?? live.promptOrderCharacterId;
+		const expectedOrder = expected.promptOrder.find(entry => String(entry.character_id) === String(orderCharacterId))?.order || [];
 
-			// Log current state BEFORE applying
-			console.log('CCPM DEBUG: Current oai_settings.prompts identifiers BEFORE:', oai_settings.prompts?.map(p => p.identifier) || 'none');
+		const changes = summarizeTemplateChanges(
+			{ name: tmpl.name, prompts: Object.fromEntries(expected.prompts.map(p => [p.identifier, p])), promptOrder: expectedOrder },
+			{ name: tmpl.name, prompts: live.prompts, promptOrder: live.promptOrder },
+		);
+		if (expected.targetCharacterId !== null && String(live.promptOrderCharacterId) !== String(expected.targetCharacterId)) {
+			changes.push('Prompt order belongs to another character slot');
+		}
+		return changes;
+	}
 
-			// Convert template's prompts object to array format
-			const promptUpdates = Object.values(tmpl.prompts);
-			console.log('CCPM DEBUG: promptUpdates count:', promptUpdates.length);
-			console.log('CCPM DEBUG: promptUpdates identifiers:', promptUpdates.map(p => p.identifier));
+	/**
+	 * Check the live prompts against the effective locked template before a generation,
+	 * then warn, ask or re-apply according to the drift check setting
+	 * @returns {Promise<boolean>} false if the generation was stopped
+	 */
+	async checkTemplateDrift() {
+		const mode = extension_settings.ccPromptManager?.driftCheckMode || DRIFT_CHECK_MODES.OFF;
+		// Prompts only matter for chat completion, and a drafted group member's template is applied on purpose
+		if (mode === DRIFT_CHECK_MODES.OFF || main_api !== 'openai' || this.groupSpeakerSwap) {
+			return true;
+		}
 
-			// Replace entire prompts array with template prompts (like preset import)
-			oai_settings.prompts = promptUpdates;
-			console.log('CCPM DEBUG: Replaced oai_settings.prompts array');
-			console.log('CCPM DEBUG: Current oai_settings.prompts identifiers AFTER replacement:', oai_settings.prompts?.map(p => p.identifier) || 'none');
-
-			// Restore prompt order if saved in template
-			if (tmpl.promptOrder && Array.isArray(tmpl.promptOrder) && tmpl.promptOrder.length > 0) {
-				// Use the character_id that was stored when the template was created
-				// This ensures we apply to the same character_id (e.g., 100001) that was captured
-				const targetCharacterId = tmpl.promptOrderCharacterId ?? 100000;
-				console.log('CCPM DEBUG: Applying prompt order for character ID:', targetCharacterId);
-				console.log('CCPM DEBUG: Template order length:', tmpl.promptOrder.length);
-				console.log('CCPM DEBUG: Template order:', JSON.stringify(tmpl.promptOrder, null, 2));
-
-				// Check if character already has an order entry
-				const existingOrderEntry = oai_settings.prompt_order?.find(entry => String(entry.character_id) === String(targetCharacterId));
-
-				if (existingOrderEntry) {
-					// Replace existing order
-					console.log('CCPM DEBUG: Replacing existing order for character', targetCharacterId);
-					existingOrderEntry.order = JSON.parse(JSON.stringify(tmpl.promptOrder));
-				} else {
-					// Add new order entry for this character
-					console.log('CCPM DEBUG: Adding new order entry for character', targetCharacterId);
-					if (!oai_settings.prompt_order) {
-						oai_settings.prompt_order = [];
-					}
-					oai_settings.prompt_order.push({
-						character_id: targetCharacterId,
-						order: JSON.parse(JSON.stringify(tmpl.promptOrder))
-					});
-				}
+		const effectiveLock = await this.getEffectiveLock();
+		// The default template is only a fallback for chat changes, not a lock to enforce
+		if (!effectiveLock.templateId || effectiveLock.target === 'default') {
+			return true;
+		}
+		const template = this.getTemplate(effectiveLock.templateId);
+		const changes = this.getTemplateDrift(effectiveLock.templateId, effectiveLock.options);
+		if (!template || !changes || changes.length === 0) {
+			return true;
+		}
 
-				// Update promptManager's activeCharacter to match the template
-				if (promptManager && promptManager.activeCharacter) {
-					promptManager.activeCharacter.id = targetCharacterId;
-					console.log('CCPM DEBUG: Updated promptManager.activeCharacter.id to', targetCharacterId);
-				}
+		console.log('CCPM: Live prompts drifted from locked template', template.name, changes);
+		const reapply = () => this.applyTemplate(template.id, { ...effectiveLock.options, silent: true });
 
-				console.log('CCPM: Restored prompt order for character', targetCharacterId, ':', tmpl.promptOrder.length, 'items');
-			} else {
-				console.log('CCPM DEBUG: No promptOrder in template or empty array');
-			}
+		if (mode === DRIFT_CHECK_MODES.REAPPLY) {
+			await reapply();
+			toastr.info(`Re-applied locked template "${template.name}" before generating`, 'CCPM');
+			return true;
+		}
 
-			// Save settings and trigger update using PromptManager's method
-			// Important: Save first, then render (matches ST's pattern)
-			console.log('CCPM DEBUG: Calling promptManager.saveServiceSettings()');
-			await promptManager.saveServiceSettings();
+		if (mode === DRIFT_CHECK_MODES.WARN) {
+			toastr.warning(`Live prompts differ from locked template "${template.name}" (${changes.length} change${changes.length === 1 ? '' : 's'})`, 'CCPM');
+			return true;
+		}
 
-			console.log('CCPM DEBUG: Calling promptManager.render()');
-			await promptManager.render();
+		const content = document.createElement('div');
+		content.innerHTML = `
+			<div class="flex-container flexFlowColumn flexGap10">
+				<h4>Prompts differ from the locked template</h4>
+				<p>The live prompts no longer match <strong>${escapeHtml(template.name)}</strong> (locked to ${escapeHtml(effectiveLock.source)}):</p>
+				<ul class="fontsize90p" style="margin: 5px 0;">${changes.map(change => `<li>${escapeHtml(change)}</li>`).join('')}</ul>
+			</div>
+		`;
+		const popup = new Popup(content, POPUP_TYPE.TEXT, '', {
+			okButton: 'Re-apply and Generate',
+			cancelButton: 'Cancel Generation',
+			customButtons: [{ text: 'Generate Anyway', result: POPUP_RESULT.CUSTOM1 }],
+			wide: false,
+		});
+		const result = await popup.show();
 
-			toastr.success(`Template "${tmpl.name}" applied`);
-			console.log('CCPM: Template applied successfully:', tmpl.name);
+		if (result === POPUP_RESULT.AFFIRMATIVE) {
+			await reapply();
+			return true;
+		}
+		if (result === POPUP_RESULT.CUSTOM1) {
 			return true;
-		} catch (error) {
-			console.error('CCPM: Failed to apply template:', error);
-			toastr.error('Failed to apply template: ' + error.message);
-			return false;
 		}
+		// Aborts the generation's controller, so the request is never sent
+		stopGeneration();
+		return false;
 	}
 
 	/**
@@ -965,16 +3894,9 @@ class PromptTemplateManager {
 		console.log('CCPM DEBUG: createTemplateFromCurrent called');
 		console.log('CCPM DEBUG: name:', name, 'description:', description, 'includePrompts:', includePrompts);
 		const currentPrompts = {};
-		const availablePrompts = oai_settings.prompts || [];
-		console.log('CCPM DEBUG: availablePrompts is array?', Array.isArray(availablePrompts), 'length:', availablePrompts.length);
 
 		// Convert array format to object format keyed by identifier
-		const promptsMap = Array.isArray(availablePrompts)
-			? availablePrompts.reduce((acc, p) => {
-				if (p.identifier) acc[p.identifier] = p;
-				return acc;
-			}, {})
-			: availablePrompts;
+		const promptsMap = this.getLivePromptsMap();
 
 		// Include specified prompts or all available prompts
 		const promptsToInclude = includePrompts || Object.keys(promptsMap);
@@ -1004,7 +3926,7 @@ class PromptTemplateManager {
 			console.log('CCPM DEBUG: Using promptManager.activeCharacter:', activeCharacterId);
 			console.log('CCPM DEBUG: Available prompt_order entries:', oai_settings.prompt_order?.map(e => ({ char_id: e.character_id, order_length: e.order?.length })));
 
-			promptOrderToSave = promptManager.getPromptOrderForCharacter(promptManager.activeCharacter);
+			promptOrderToSave = deepClone(promptManager.getPromptOrderForCharacter(promptManager.activeCharacter));
 			console.log('CCPM DEBUG: Retrieved prompt order:', promptOrderToSave.length, 'items');
 			console.log('CCPM DEBUG: Order identifiers:', promptOrderToSave.map(e => e.identifier));
 		} else {
@@ -1037,6 +3959,36 @@ class PromptTemplateManager {
 			});
 		}
 
+		// Apply connection locks when the chat completion source or model changes
+		for (const eventType of [event_types.CHATCOMPLETION_SOURCE_CHANGED, event_types.CHATCOMPLETION_MODEL_CHANGED]) {
+			if (eventType) {
+				eventSource.on(eventType, () => {
+					this.handleConnectionChange();
+				});
+			}
+		}
+
+		// Apply persona locks when switching personas (older ST versions: see handleSettingsUpdate)
+		if (event_types.PERSONA_CHANGED) {
+			eventSource.on(event_types.PERSONA_CHANGED, () => {
+				this.handlePersonaChange();
+			});
+		}
+
+		// Keep preset locks attached to renamed presets
+		if (event_types.PRESET_RENAMED) {
+			eventSource.on(event_types.PRESET_RENAMED, (data) => {
+				this.handlePresetRenamed(data);
+			});
+		}
+
+		// Drop the locks of deleted presets
+		if (event_types.PRESET_DELETED) {
+			eventSource.on(event_types.PRESET_DELETED, (data) => {
+				this.handlePresetDeleted(data);
+			});
+		}
+
 		// Listen for character changes to potentially auto-apply templates
 		eventSource.on(event_types.CHAT_CHANGED, () => {
 			this.handleChatChange();
@@ -1062,8 +4014,8 @@ class PromptTemplateManager {
 		});
 
 		// Listen for group member drafted (useful for group template management)
-		eventSource.on(event_types.GROUP_MEMBER_DRAFTED, (chId) => {
-			this.handleGroupMemberDrafted(chId);
+		eventSource.on(event_types.GROUP_MEMBER_DRAFTED, async (chId) => {
+			await this.handleGroupMemberDrafted(chId);
 		});
 
 		// Listen for settings loaded after (more reliable than EXTENSION_SETTINGS_LOADED)
@@ -1080,10 +4032,12 @@ class PromptTemplateManager {
 			});
 		}
 
-		// Listen for generation started (useful for template context tracking)
-		if (event_types.GENERATION_STARTED) {
-			eventSource.on(event_types.GENERATION_STARTED, () => {
-				this.handleGenerationStarted();
+		// Check for drift once the generation can be stopped: ST creates the generation's abort
+		// controller after GENERATION_STARTED, so stopping earlier has nothing to abort
+		const driftCheckEvent = event_types.GENERATION_AFTER_COMMANDS || event_types.GENERATION_STARTED;
+		if (driftCheckEvent) {
+			eventSource.on(driftCheckEvent, async (type, options, dryRun) => {
+				await this.handleGenerationAfterCommands(type, options, dryRun);
 			});
 		}
 
@@ -1093,6 +4047,20 @@ class PromptTemplateManager {
 				this.handleGenerationEnded();
 			});
 		}
+
+		// Restore group prompts when a group round finishes or generation is stopped
+		if (event_types.GROUP_WRAPPER_FINISHED) {
+			eventSource.on(event_types.GROUP_WRAPPER_FINISHED, () => {
+				this.groupRoundDriftChecked = false;
+				this.restoreGroupSpeakerSwap();
+			});
+		}
+		if (event_types.GENERATION_STOPPED) {
+			eventSource.on(event_types.GENERATION_STOPPED, () => {
+				this.groupRoundDriftChecked = false;
+				this.restoreGroupSpeakerSwap();
+			});
+		}
 	}
 
 	// Handle settings update event
@@ -1101,6 +4069,10 @@ class PromptTemplateManager {
 		if (extension_settings.ccPromptManager) {
 			this.loadTemplatesFromSettings();
 		}
+		// Prompt Manager edits are saved through the settings, so this is where they show up
+		updateModifiedIndicator();
+		// Switching personas saves the settings; this catches it on ST versions without PERSONA_CHANGED
+		await this.handlePersonaChange();
 	}
 
 	async handlePresetChange() {
@@ -1112,7 +4084,8 @@ class PromptTemplateManager {
 		}
 
 		const effectiveLock = await this.getEffectiveLock();
-		if (!effectiveLock || !effectiveLock.templateId) {
+		// The default template is only applied on chat changes
+		if (!effectiveLock || !effectiveLock.templateId || effectiveLock.target === 'default') {
 			console.log('CCPM: No locked template, skipping auto-apply');
 			return;
 		}
@@ -1122,16 +4095,123 @@ class PromptTemplateManager {
 			const template = this.getTemplate(effectiveLock.templateId);
 			if (!template) return;
 
-			const contextType = context.isGroupChat ? 'group chat' : 'character';
-			const sourceName = context.isGroupChat ?
-				(context.groupName || 'Unnamed Group') :
-				(context.characterName || 'Unknown Character');
+			const { contextType, sourceName } = describeLockContext(context, effectiveLock);
 
 			const popup = new Popup(`
 				<div class="flex-container flexFlowColumn flexGap10">
 					<h4>Preset Changed</h4>
 					<p>Reapply locked template "<strong>${escapeHtml(template.name)}</strong>" for ${contextType} "${escapeHtml(sourceName)}"?</p>
 					<p class="text_muted fontsize90p">This will restore the locked prompt configuration.</p>
+					${getCompareLinkHtml(effectiveLock.templateId)}
+				</div>
+			`, POPUP_TYPE.CONFIRM, '', {
+				okButton: 'Apply',
+				cancelButton: 'Skip',
+				allowVerticalScrolling: true
+			});
+
+			const result = await popup.show();
+			if (result === POPUP_RESULT.AFFIRMATIVE) {
+				await this.applyTemplate(effectiveLock.templateId, effectiveLock.options);
+				toastr.success(`Reapplied template: ${template.name}`);
+			}
+		} else if (autoApplyMode === AUTO_APPLY_MODES.ALWAYS) {
+			const template = this.getTemplate(effectiveLock.templateId);
+			if (template) {
+				await this.applyTemplate(effectiveLock.templateId, effectiveLock.options);
+				toastr.info(`Auto-reapplied template: ${template.name}`);
+			}
+		}
+	}
+
+	/**
+	 * Apply the connection lock that matches a newly selected chat completion source or model.
+	 * Other locks don't depend on the connection, so they are left alone.
+	 */
+	async handleConnectionChange() {
+		if (!this.isAppReady) {
+			return;
+		}
+
+		const effectiveLock = await this.getEffectiveLock();
+		// Model and source events often fire together; apply only once
+		if (effectiveLock.target !== 'connection' || effectiveLock.templateId === this.activeTemplateId) {
+			await this.refreshSourceConditions();
+			return;
+		}
+
+		const { source, model } = getCurrentConnection();
+		await this.autoApplyChangedLock(effectiveLock, 'Connection Changed', `locked to connection "${escapeHtml(source)}"${model ? ` (${escapeHtml(model)})` : ''}`);
+	}
+
+	/**
+	 * Re-apply the active template when it has prompts conditioned on the chat completion source
+	 * and the source changed since it was applied. Skipped when the live prompts were edited
+	 * since, so those edits aren't overwritten.
+	 * @returns {Promise<boolean>} Whether the template was re-applied
+	 */
+	async refreshSourceConditions() {
+		const autoApplyMode = extension_settings.ccPromptManager?.autoApplyMode || AUTO_APPLY_MODES.ASK;
+		const lastApplied = this.getLastApplied();
+		const status = this.getAppliedTemplateStatus();
+		const apiSource = oai_settings.chat_completion_source || null;
+		if (autoApplyMode === AUTO_APPLY_MODES.NEVER || !status || status.modified
+			|| status.template.id !== this.activeTemplateId || lastApplied.apiSource === apiSource) {
+			return false;
+		}
+		if (!status.template.promptOrder.some(entry => entry.conditions?.apiSources)) {
+			return false;
+		}
+
+		console.log('CCPM: Re-applying template for conditional prompts after source change:', status.template.name);
+		await this.applyTemplate(status.template.id, { ...status.options, recordUndo: false, silent: true });
+		toastr.info(`Updated conditional prompts of "${status.template.name}" for ${apiSource}`, 'CCPM');
+		return true;
+	}
+
+	/**
+	 * Re-resolve locks after switching personas. Leaving a locked persona can hand the
+	 * win back to another lock, so any winner that isn't applied yet is applied.
+	 */
+	async handlePersonaChange() {
+		if (!this.isAppReady || user_avatar === this.lastPersona) {
+			return;
+		}
+		this.lastPersona = user_avatar;
+
+		const effectiveLock = await this.getEffectiveLock();
+		// The default template is only applied on chat changes
+		if (!effectiveLock.templateId || effectiveLock.target === 'default' || effectiveLock.templateId === this.activeTemplateId) {
+			return;
+		}
+
+		await this.autoApplyChangedLock(effectiveLock, 'Persona Changed', `from ${escapeHtml(effectiveLock.source)} lock`);
+	}
+
+	/**
+	 * Apply a lock that won after the context changed, following the auto-apply mode
+	 * @param {Object} effectiveLock - Resolved lock
+	 * @param {string} heading - Confirmation heading
+	 * @param {string} description - HTML describing where the lock comes from
+	 */
+	async autoApplyChangedLock(effectiveLock, heading, description) {
+		const autoApplyMode = extension_settings.ccPromptManager?.autoApplyMode || AUTO_APPLY_MODES.ASK;
+		if (autoApplyMode === AUTO_APPLY_MODES.NEVER) {
+			return;
+		}
+
+		const template = this.getTemplate(effectiveLock.templateId);
+		if (!template) {
+			console.warn('CCPM: Locked template not found:', effectiveLock.templateId);
+			return;
+		}
+
+		if (autoApplyMode === AUTO_APPLY_MODES.ASK) {
+			const popup = new Popup(`
+				<div class="flex-container flexFlowColumn flexGap10">
+					<h4>${heading}</h4>
+					<p>Apply template "<strong>${escapeHtml(template.name)}</strong>" ${description}?</p>
+					${getCompareLinkHtml(effectiveLock.templateId)}
 				</div>
 			`, POPUP_TYPE.CONFIRM, '', {
 				okButton: 'Apply',
@@ -1139,17 +4219,40 @@ class PromptTemplateManager {
 				allowVerticalScrolling: true
 			});
 
-			const result = await popup.show();
-			if (result === POPUP_RESULT.AFFIRMATIVE) {
-				await this.applyTemplate(effectiveLock.templateId);
-				toastr.success(`Reapplied template: ${template.name}`);
-			}
-		} else if (autoApplyMode === AUTO_APPLY_MODES.ALWAYS) {
-			const template = this.getTemplate(effectiveLock.templateId);
-			if (template) {
-				await this.applyTemplate(effectiveLock.templateId);
-				toastr.info(`Auto-reapplied template: ${template.name}`);
-			}
+			const result = await popup.show();
+			if (result === POPUP_RESULT.AFFIRMATIVE) {
+				await this.applyTemplate(effectiveLock.templateId, effectiveLock.options);
+				toastr.success(`Applied template: ${template.name}`);
+			}
+		} else if (autoApplyMode === AUTO_APPLY_MODES.ALWAYS) {
+			await this.applyTemplate(effectiveLock.templateId, effectiveLock.options);
+			toastr.info(`Auto-applied template: ${template.name}`);
+		}
+	}
+
+	/**
+	 * Move the lock of a renamed chat completion preset to its new name
+	 * @param {{apiId: string, oldName: string, newName: string}} data - PRESET_RENAMED event data
+	 */
+	handlePresetRenamed(data) {
+		if (data?.apiId !== 'openai') {
+			return;
+		}
+		if (this.lockManager.storage.renamePresetTemplateLock(data.oldName, data.newName)) {
+			console.log(`CCPM: Moved preset lock from "${data.oldName}" to "${data.newName}"`);
+		}
+	}
+
+	/**
+	 * Delete the lock of a deleted chat completion preset
+	 * @param {{apiId: string, name: string}} data - PRESET_DELETED event data
+	 */
+	handlePresetDeleted(data) {
+		if (data?.apiId !== 'openai') {
+			return;
+		}
+		if (this.lockManager.storage.deletePresetTemplateLock(data.name)) {
+			console.log(`CCPM: Deleted the lock of deleted preset "${data.name}"`);
 		}
 	}
 
@@ -1159,11 +4262,17 @@ class PromptTemplateManager {
 	async handleChatChange() {
 		console.log('CCPM: Chat changed, templates available:', this.templates.size);
 
+		// A group member's template must not carry over into the next chat
+		await this.restoreGroupSpeakerSwap();
+		this.groupRoundDriftChecked = false;
+
 		// Invalidate context cache
 		this.lockManager.chatContext.invalidate();
 
 		// Load current locks
 		await this.lockManager.loadCurrentLocks();
+		// The chat's locks are resolved for the current persona
+		this.lastPersona = user_avatar;
 
 		// Apply locked template based on auto-apply mode
 		const autoApplyMode = extension_settings.ccPromptManager?.autoApplyMode || AUTO_APPLY_MODES.ASK;
@@ -1185,18 +4294,22 @@ class PromptTemplateManager {
 			return;
 		}
 
+		// Locks that don't come from the chat only have to replace another chat's template, not re-apply themselves
+		if (isChatIndependentLock(effectiveLock) && effectiveLock.templateId === this.activeTemplateId) {
+			console.log(`CCPM: Template from ${effectiveLock.target} lock already applied`);
+			return;
+		}
+
 		if (autoApplyMode === AUTO_APPLY_MODES.ASK) {
 			const context = this.lockManager.chatContext.getCurrent();
-			const contextType = context.isGroupChat ? 'group chat' : 'character';
-			const sourceName = context.isGroupChat ?
-				(context.groupName || 'Unnamed Group') :
-				(context.characterName || 'Unknown Character');
+			const { contextType, sourceName } = describeLockContext(context, effectiveLock);
 
 			const popup = new Popup(`
 				<div class="flex-container flexFlowColumn flexGap10">
 					<h4>Chat Changed</h4>
 					<p>Apply locked template "<strong>${escapeHtml(template.name)}</strong>" for ${contextType} "${escapeHtml(sourceName)}"?</p>
-					<p class="text_muted fontsize90p">Source: ${effectiveLock.source}</p>
+					<p class="text_muted fontsize90p">Source: ${escapeHtml(effectiveLock.source)}</p>
+					${getCompareLinkHtml(effectiveLock.templateId)}
 				</div>
 			`, POPUP_TYPE.CONFIRM, '', {
 				okButton: 'Apply',
@@ -1206,11 +4319,11 @@ class PromptTemplateManager {
 
 			const result = await popup.show();
 			if (result === POPUP_RESULT.AFFIRMATIVE) {
-				await this.applyTemplate(effectiveLock.templateId);
+				await this.applyTemplate(effectiveLock.templateId, effectiveLock.options);
 				toastr.success(`Applied template: ${template.name}`);
 			}
 		} else if (autoApplyMode === AUTO_APPLY_MODES.ALWAYS) {
-			await this.applyTemplate(effectiveLock.templateId);
+			await this.applyTemplate(effectiveLock.templateId, effectiveLock.options);
 			toastr.info(`Auto-applied template: ${template.name}`);
 		}
 	}
@@ -1229,6 +4342,10 @@ class PromptTemplateManager {
 	handleAppReady() {
 		// Ensure UI is injected after app is fully ready
 		this.ensureUIInjected();
+		// Run migrations that need characters and groups to be loaded
+		runSettingsMigrations({ appReady: true });
+		this.lastPersona = user_avatar;
+		this.isAppReady = true;
 		console.log('CCPM: App ready, extension initialized');
 	}
 
@@ -1241,19 +4358,71 @@ class PromptTemplateManager {
 	}
 
 	/**
-	 * Handle group member drafted event
+	 * Handle group member drafted event: apply the member's own template just before they generate
 	 * @param {number} chId - Character ID that was drafted
 	 */
-	handleGroupMemberDrafted(chId) {
-		// Could implement character-specific template application in groups
-		console.log('CCPM: Group member drafted, chId:', chId);
-		// Future: Apply character-specific templates when generating for that character
+	async handleGroupMemberDrafted(chId) {
+		const autoApplyMode = extension_settings.ccPromptManager?.autoApplyMode || AUTO_APPLY_MODES.ASK;
+		const member = characters?.[chId];
+		if (autoApplyMode === AUTO_APPLY_MODES.NEVER || !member?.avatar) {
+			return;
+		}
+
+		const context = this.lockManager.chatContext.getCurrent();
+		if (!context.isGroupChat) {
+			return;
+		}
+
+		try {
+			await this.lockManager.loadCurrentLocks();
+			const memberLock = await this.lockManager.getLockForGroupMember(member.avatar);
+
+			// The default template is only a fallback for chat changes
+			if (!memberLock.templateId || memberLock.target === 'default' || !this.getTemplate(memberLock.templateId)) {
+				// Nothing locked for this member; undo a previous member's template
+				await this.restoreGroupSpeakerSwap();
+				return;
+			}
+
+			// Prompts with character conditions still have to be evaluated for this speaker
+			const hasCharacterConditions = this.getTemplate(memberLock.templateId).promptOrder.some(entry => entry.conditions?.characters);
+			if (memberLock.templateId === this.activeTemplateId && !hasCharacterConditions) {
+				return;
+			}
+
+			if (!this.groupSpeakerSwap) {
+				this.groupSpeakerSwap = this.capturePromptConfig();
+			}
+			console.log(`CCPM: Applying template for group member ${member.name} from ${memberLock.source}:`, memberLock.templateId);
+			await this.applyTemplate(memberLock.templateId, { ...memberLock.options, speakerAvatar: member.avatar, recordUndo: false, silent: true });
+		} catch (error) {
+			console.error('CCPM: Failed to apply group member template:', error);
+		}
+	}
+
+	/**
+	 * Restore the group or chat configuration after a member generated with their own template
+	 */
+	async restoreGroupSpeakerSwap() {
+		if (!this.groupSpeakerSwap) {
+			return;
+		}
+
+		const config = this.groupSpeakerSwap;
+		this.groupSpeakerSwap = null;
+		try {
+			await this.restorePromptConfig(config);
+			console.log('CCPM: Restored group prompt configuration after member template');
+		} catch (error) {
+			console.error('CCPM: Failed to restore group prompt configuration:', error);
+		}
 	}
 
 	/**
 	 * Handle settings loaded after event (more reliable initialization)
 	 */
 	handleSettingsLoadedAfter() {
+		this.initializeSettings();
 		this.loadTemplatesFromSettings();
 		this.ensureUIInjected();
 		console.log('CCPM: Settings loaded after, templates:', this.templates.size);
@@ -1268,19 +4437,33 @@ class PromptTemplateManager {
 	}
 
 	/**
-	 * Handle generation started event
+	 * Handle generation after commands event: check the live prompts against the locked template
+	 * before the prompt is built
+	 * @param {string} type - Generation type
+	 * @param {Object} options - Generation options
+	 * @param {boolean} dryRun - Whether this is a dry run (e.g. token counting)
 	 */
-	handleGenerationStarted() {
-		// Could implement pre-generation template checks
-		console.log('CCPM: Generation started');
+	async handleGenerationAfterCommands(type, options, dryRun) {
+		console.log('CCPM: Generation about to build its prompt', type);
+		// Background generations (summaries, other extensions' quiet prompts) and auto-mode replies aren't started by the user
+		if (dryRun || type === 'quiet' || options?.quiet_prompt || options?.automatic_trigger) {
+			return;
+		}
+		if (this.lockManager.chatContext.getCurrent().isGroupChat) {
+			if (this.groupRoundDriftChecked) {
+				return;
+			}
+			this.groupRoundDriftChecked = true;
+		}
+		await this.checkTemplateDrift();
 	}
 
 	/**
 	 * Handle generation ended event
 	 */
-	handleGenerationEnded() {
-		// Could implement post-generation template analysis
+	async handleGenerationEnded() {
 		console.log('CCPM: Generation ended');
+		await this.restoreGroupSpeakerSwap();
 	}
 
 	/**
@@ -1303,7 +4486,7 @@ class PromptTemplateManager {
 			const lockResult = await this.lockManager.getLockToApply();
 			if (lockResult.templateId) {
 				console.log(`CCPM: Applying locked template from ${lockResult.source}:`, lockResult.templateId);
-				return await this.applyTemplate(lockResult.templateId);
+				return await this.applyTemplate(lockResult.templateId, lockResult.options);
 			}
 			return false;
 		} catch (error) {
@@ -1339,6 +4522,7 @@ class PromptTemplateManager {
 						${template.description ? `<br><small class="text_muted">${escapeHtml(template.description)}</small>` : ''}
 					</div>
 					<p>Would you like to apply this template now?</p>
+					${getCompareLinkHtml(lockResult.templateId)}
 				</div>
 			`;
 
@@ -1351,7 +4535,7 @@ class PromptTemplateManager {
 			const result = await popup.show();
 			if (result) {
 				console.log(`CCPM: User chose to apply locked template from ${lockResult.source}:`, lockResult.templateId);
-				const success = await this.applyTemplate(lockResult.templateId);
+				const success = await this.applyTemplate(lockResult.templateId, lockResult.options);
 				if (success) {
 					toastr.success(`Applied template: ${template.name}`, 'CCPM');
 				}
@@ -1367,19 +4551,21 @@ class PromptTemplateManager {
 	}
 
 	/**
-	 * Lock a template to a specific target (character, chat, or group)
+	 * Lock a template to a specific target (see LOCK_TARGETS)
 	 * @param {string} templateId - Template to lock
-	 * @param {string} target - Lock target: 'character', 'chat', or 'group'
+	 * @param {string} target - Lock target, one of LOCK_TARGETS
+	 * @param {Object} [options] - Apply options used when the lock is applied (applyMode, orderMergeMode)
+	 * @param {Object} [scope] - Extra lock key: modelPattern for connection locks, tagId for tag locks
 	 * @returns {boolean} Success status
 	 */
-	async lockTemplate(templateId, target) {
+	async lockTemplate(templateId, target, options = null, scope = {}) {
 		const template = this.getTemplate(templateId);
 		if (!template) {
 			toastr.error('CCPM: Cannot lock template - template not found:', templateId);
 			return false;
 		}
 
-		const success = await this.lockManager.setLock(target, templateId);
+		const success = await this.lockManager.setLock(target, templateId, options, scope);
 		if (success) {
 			console.log(`CCPM: Locked template "${template.name}" to ${target}`);
 			toastr.success(`Template locked to ${target}`, 'CCPM');
@@ -1392,11 +4578,12 @@ class PromptTemplateManager {
 
 	/**
 	 * Clear template lock for a specific target
-	 * @param {string} target - Lock target: 'character', 'chat', or 'group'
+	 * @param {string} target - Lock target, one of LOCK_TARGETS
+	 * @param {Object} [scope] - Extra lock key: modelPattern for connection locks or tagId for tag locks (defaults to the matching lock)
 	 * @returns {boolean} Success status
 	 */
-	async clearTemplateLock(target) {
-		const success = await this.lockManager.clearLock(target);
+	async clearTemplateLock(target, scope = {}) {
+		const success = await this.lockManager.clearLock(target, scope);
 		if (success) {
 			console.log(`CCPM: Cleared ${target} template lock`);
 			toastr.success(`${target} template lock cleared`, 'CCPM');
@@ -1446,8 +4633,8 @@ class PromptTemplateManager {
 			eventSource.off(event_types.CHARACTER_MESSAGE_RENDERED, this.handleCharacterMessageRendered);
 		}
 
-		if (event_types.GENERATION_STARTED) {
-			eventSource.off(event_types.GENERATION_STARTED, this.handleGenerationStarted);
+		if (event_types.GENERATION_AFTER_COMMANDS || event_types.GENERATION_STARTED) {
+			eventSource.off(event_types.GENERATION_AFTER_COMMANDS || event_types.GENERATION_STARTED, this.handleGenerationAfterCommands);
 		}
 
 		if (event_types.GENERATION_ENDED) {
@@ -1475,6 +4662,7 @@ function injectPromptTemplateManagerButton() {
 				<div id="ccpm-prompt-template-btn" class="list-group-item flex-container flexGap5 interactable" tabindex="0">
 					<div class="fa-fw fa-solid fa-folder-open extensionsMenuExtensionButton"></div>
 					<span>Prompt Templates</span>
+					<span id="ccpm-menu-modified-badge" class="ccpm-modified-badge" style="display: none;" title="Live prompts changed since the template was applied">modified</span>
 				</div>
 			</div>
 		`);
@@ -1482,12 +4670,102 @@ function injectPromptTemplateManagerButton() {
 		// Attach click handler
 		menuItem.on('click', openPromptTemplateManagerModal);
 
+		// The badge offers its own actions instead of opening the manager
+		menuItem.find('#ccpm-menu-modified-badge').on('click', (event) => {
+			event.stopPropagation();
+			window.ccpmShowModifiedActions();
+		});
+
 		// Insert at top of extensions menu
 		$('#extensionsMenu').prepend(menuItem);
+		updateModifiedIndicator();
 	};
 	tryInject();
 }
 
+/**
+ * Show or hide the "modified" badge in the extensions menu entry
+ */
+function updateModifiedIndicator() {
+	const badge = document.getElementById('ccpm-menu-modified-badge');
+	if (!badge) return;
+
+	const status = promptTemplateManager.getAppliedTemplateStatus();
+	badge.style.display = status?.modified ? '' : 'none';
+	if (status?.modified) {
+		badge.title = `Live prompts changed since "${status.template.name}" was applied`;
+	}
+}
+
+/**
+ * Ask whether to re-apply the last applied template or save the live prompts into it
+ */
+window.ccpmShowModifiedActions = async function() {
+	const status = promptTemplateManager.getAppliedTemplateStatus();
+	if (!status?.modified) {
+		toastr.info('Live prompts match the last applied template');
+		return;
+	}
+
+	const content = document.createElement('div');
+	content.innerHTML = `
+		<div class="flex-container flexFlowColumn flexGap10">
+			<h4>Modified since applied</h4>
+			<p>The live prompts changed since <strong>${escapeHtml(status.template.name)}</strong> was applied.</p>
+			<p>${getCompareLinkHtml(status.template.id)}</p>
+			<p class="text_muted fontsize90p">Re-apply the template to discard the changes, or update the template to keep them.</p>
+		</div>
+	`;
+	const popup = new Popup(content, POPUP_TYPE.TEXT, '', {
+		okButton: 'Re-apply Template',
+		cancelButton: 'Cancel',
+		customButtons: [{ text: 'Update Template from Live', result: POPUP_RESULT.CUSTOM1 }],
+	});
+	const result = await popup.show();
+
+	if (result === POPUP_RESULT.AFFIRMATIVE) {
+		await promptTemplateManager.reapplyLastApplied();
+	} else if (result === POPUP_RESULT.CUSTOM1) {
+		const updated = promptTemplateManager.updateLastAppliedFromLive();
+		if (updated) {
+			toastr.success(`Template "${updated.name}" updated from the live prompts`);
+		}
+	} else {
+		return;
+	}
+	await renderPromptTemplateList();
+};
+
+window.ccpmReapplyLastApplied = async function() {
+	if (await promptTemplateManager.reapplyLastApplied()) {
+		await renderPromptTemplateList();
+	}
+};
+
+window.ccpmUpdateTemplateFromLive = async function() {
+	const status = promptTemplateManager.getAppliedTemplateStatus();
+	if (!status) return;
+
+	const content = document.createElement('div');
+	content.innerHTML = `
+		<div class="flex-container flexFlowColumn flexGap10">
+			<p>Save the live prompts into "<strong>${escapeHtml(status.template.name)}</strong>"?</p>
+			<p class="text_muted fontsize90p">The current version is kept in the template's history.</p>
+		</div>
+	`;
+	const popup = new Popup(content, POPUP_TYPE.CONFIRM, '', {
+		okButton: 'Update Template',
+		cancelButton: 'Cancel',
+	});
+	if (await popup.show() !== POPUP_RESULT.AFFIRMATIVE) return;
+
+	const updated = promptTemplateManager.updateLastAppliedFromLive();
+	if (updated) {
+		toastr.success(`Template "${updated.name}" updated from the live prompts`);
+		await renderPromptTemplateList();
+	}
+};
+
 function openPromptTemplateManagerModal() {
 	const content = document.createElement('div');
 	content.innerHTML = `
@@ -1507,6 +4785,24 @@ function openPromptTemplateManagerModal() {
 				<i class="fa-solid fa-file-export"></i>
 				<span>Export All</span>
 			</div>
+			<div class="menu_button menu_button_icon interactable" id="ccpm-undo-apply">
+				<i class="fa-solid fa-rotate-left"></i>
+				<span>Undo Apply</span>
+			</div>
+			<div class="menu_button menu_button_icon interactable" id="ccpm-inspect-locks" title="Show which lock wins for the current chat and why">
+				<i class="fa-solid fa-circle-question"></i>
+				<span>Why this template?</span>
+			</div>
+			<div class="menu_button menu_button_icon interactable" id="ccpm-lock-dashboard" title="All locks across characters, groups and chats">
+				<i class="fa-solid fa-table-list"></i>
+				<span>Lock Dashboard</span>
+			</div>
+		</div>
+		<input type="search" id="ccpm-ptm-search" class="text_pole marginBot10" placeholder="Search names, descriptions and prompt contents...">
+		<div id="ccpm-ptm-filters" class="marginBot10"></div>
+		<div class="flex-container alignItemsCenter flexGap5 marginBot10">
+			<label for="ccpm-default-template" class="fontsize90p" title="Applied on chat changes when no other lock applies">Default template:</label>
+			<select id="ccpm-default-template" class="text_pole flex1"></select>
 		</div>
 		<div id="ccpm-ptm-list" class="flex-container flexFlowColumn overflowYAuto" style="max-height: 60vh;"></div>
 	`;
@@ -1533,9 +4829,11 @@ function openPromptTemplateManagerModal() {
 async function renderPromptTemplateList() {
 	const listDiv = document.getElementById('ccpm-ptm-list');
 	if (!listDiv) return;
-	const templates = promptTemplateManager.listTemplates();
+	const allTemplates = promptTemplateManager.listTemplates();
+	renderTemplateFilters();
+	renderDefaultTemplateSelect();
 
-	if (templates.length === 0) {
+	if (allTemplates.length === 0) {
 		listDiv.innerHTML = `
 			<div class="flex-container justifyCenter">
 				<div class="text_pole textAlignCenter">
@@ -1547,38 +4845,71 @@ async function renderPromptTemplateList() {
 		return;
 	}
 
+	const templates = allTemplates.filter(matchesTemplateFilter);
+	const searchQuery = document.getElementById('ccpm-ptm-search')?.value.trim();
+	if (searchQuery) {
+		renderTemplateSearchResults(listDiv, promptTemplateManager.searchTemplates(searchQuery, templates));
+		return;
+	}
+
+	if (templates.length === 0) {
+		listDiv.innerHTML = `
+			<div class="flex-container justifyCenter">
+				<div class="text_pole textAlignCenter">
+					<i class="fa-solid fa-filter"></i>
+					No templates match the selected folder and tags.
+				</div>
+			</div>
+		`;
+		return;
+	}
+
 	// Get current locks to show lock status
 	const currentLocks = await promptTemplateManager.getCurrentLocks();
+	const currentTag = promptTemplateManager.lockManager.currentTag;
 	const effectiveLock = await promptTemplateManager.getEffectiveLock();
+	const appliedStatus = promptTemplateManager.getAppliedTemplateStatus();
+	updateModifiedIndicator();
 
 	listDiv.innerHTML = templates.map(t => {
 		const promptCount = Object.keys(t.prompts).length;
 		const createdDate = new Date(t.createdAt).toLocaleDateString();
 
 		// Check if this template is locked to any target
-		const isLockedToCharacter = currentLocks.character === t.id;
-		const isLockedToChat = currentLocks.chat === t.id;
-		const isLockedToGroup = currentLocks.group === t.id;
+		const lockTypes = LOCK_TARGETS.filter(target => currentLocks[target] === t.id)
+			.map(target => target === 'tag' && currentTag ? `tag "${escapeHtml(currentTag.name)}"` : target);
 		const isEffectiveTemplate = effectiveLock.templateId === t.id;
 
 		let lockStatus = '';
 		if (isEffectiveTemplate) {
-			lockStatus = `<span class="fontsize80p toggleEnabled" title="Currently active from ${effectiveLock.source}">🔒 Active (${effectiveLock.source})</span>`;
-		} else if (isLockedToCharacter || isLockedToChat || isLockedToGroup) {
-			const lockTypes = [];
-			if (isLockedToCharacter) lockTypes.push('character');
-			if (isLockedToChat) lockTypes.push('chat');
-			if (isLockedToGroup) lockTypes.push('group');
+			lockStatus = `<span class="fontsize80p toggleEnabled" title="Currently active from ${escapeHtml(effectiveLock.source)}">🔒 Active (${escapeHtml(effectiveLock.source)})</span>`;
+		} else if (lockTypes.length > 0) {
 			lockStatus = `<span class="fontsize80p text_muted" title="Locked to: ${lockTypes.join(', ')}">🔒 ${lockTypes.join(', ')}</span>`;
 		}
 
+		const modifiedStatus = appliedStatus?.modified && appliedStatus.template.id === t.id ? `
+			<span class="ccpm-modified-badge" onclick="window.ccpmShowModifiedActions()" title="Live prompts changed since this template was applied">modified</span>
+			<span class="fontsize80p">
+				<a style="cursor: pointer;" onclick="window.ccpmReapplyLastApplied()" title="Re-apply this template and discard the live changes">re-apply</a>
+				·
+				<a style="cursor: pointer;" onclick="window.ccpmUpdateTemplateFromLive()" title="Save the live prompts into this template">update template</a>
+			</span>
+		` : '';
+
 		const borderStyle = isEffectiveTemplate ? 'border-left: 4px solid var(--SmartThemeQuoteColor);' : '';
 
 		return `
 			<div class="text_pole padding10 marginBot10" style="${borderStyle}">
 				<div class="flex-container spaceBetween alignItemsCenter marginBot5">
 					<div class="flexGrow">
-						${escapeHtml(t.name)} <small>(Created: ${createdDate})</small> ${lockStatus}
+						${escapeHtml(t.name)} <small>(Created: ${createdDate})</small> ${lockStatus} ${modifiedStatus}
+						${t.folder || t.tags.length > 0 ? `
+							<div class="flex-container alignItemsCenter flexGap5 flexWrap fontsize80p marginBot5">
+								${t.folder ? `<span class="text_muted"><i class="fa-solid fa-folder"></i> ${escapeHtml(t.folder)}</span>` : ''}
+								${t.tags.map(tag => `<span class="ccpm-tag-chip">${escapeHtml(tag)}</span>`).join('')}
+							</div>
+						` : ''}
+						${t.parentId ? `<div class="text_muted fontsize80p"><i class="fa-solid fa-code-branch"></i> Based on ${escapeHtml(promptTemplateManager.getTemplate(t.parentId)?.name || '')}</div>` : ''}
 						${t.description ? `<div class="text_muted fontsize90p marginBot10">${escapeHtml(t.description)}</div>` : ''}
 					</div>
 					<div class="flex-container flexGap2">
@@ -1588,15 +4919,27 @@ async function renderPromptTemplateList() {
 						<div class="menu_button menu_button_icon interactable" onclick="window.ccpmViewPrompts('${t.id}')" title="View/Edit Prompts" style="width: 32px; height: 32px; padding: 0;">
 							<i class="fa-solid fa-pencil"></i>
 						</div>
+						<div class="menu_button menu_button_icon interactable" onclick="window.ccpmCompareTemplates('${t.id}', '${LIVE_PROMPTS_ID}')" title="Compare with Live Prompts" style="width: 32px; height: 32px; padding: 0;">
+							<i class="fa-solid fa-code-compare"></i>
+						</div>
+						<div class="menu_button menu_button_icon interactable" onclick="window.ccpmShowTemplateHistory('${t.id}')" title="Version History (v${t.version})" style="width: 32px; height: 32px; padding: 0;">
+							<i class="fa-solid fa-clock-rotate-left"></i>
+						</div>
 						<div class="menu_button menu_button_icon interactable" onclick="window.ccpmShowLockMenu('${t.id}')" title="Lock/Unlock Template" style="width: 32px; height: 32px; padding: 0;">
 							<i class="fa-solid fa-lock"></i>
 						</div>
 						<div class="menu_button menu_button_icon interactable" onclick="window.ccpmEditTemplate('${t.id}')" title="Edit Template Name/Description" style="width: 32px; height: 32px; padding: 0;">
 							<i class="fa-solid fa-edit"></i>
 						</div>
+						<div class="menu_button menu_button_icon interactable" onclick="window.ccpmCreateChildTemplate('${t.id}')" title="Create Template Based on This" style="width: 32px; height: 32px; padding: 0;">
+							<i class="fa-solid fa-code-branch"></i>
+						</div>
 						<div class="menu_button menu_button_icon interactable" onclick="window.ccpmCopyTemplateId('${t.id}')" title="Copy Template ID" style="width: 32px; height: 32px; padding: 0;">
 							<i class="fa-solid fa-copy"></i>
 						</div>
+						<div class="menu_button menu_button_icon interactable" onclick="window.ccpmExportTemplateAsPreset('${t.id}')" title="Export as SillyTavern Preset" style="width: 32px; height: 32px; padding: 0;">
+							<i class="fa-solid fa-file-export"></i>
+						</div>
 						<div class="menu_button menu_button_icon interactable redOverlayGlow" onclick="window.ccpmDeleteTemplate('${t.id}')" title="Delete Template" style="width: 32px; height: 32px; padding: 0;">
 							<i class="fa-solid fa-trash"></i>
 						</div>
@@ -1607,6 +4950,120 @@ async function renderPromptTemplateList() {
 	}).join('');
 }
 
+/**
+ * Whether a template passes the folder and tag filters of the template list
+ * @param {PromptTemplate} template
+ * @returns {boolean}
+ */
+function matchesTemplateFilter(template) {
+	const { folder, tags } = ccpmTemplateFilter;
+	if (folder !== null && (template.folder || '') !== folder) {
+		return false;
+	}
+	return tags.every(tag => template.tags.includes(tag));
+}
+
+/**
+ * Render the folder select and tag chips above the template list
+ */
+function renderTemplateFilters() {
+	const filtersDiv = document.getElementById('ccpm-ptm-filters');
+	if (!filtersDiv) return;
+
+	const folders = promptTemplateManager.listFolders();
+	const tags = promptTemplateManager.listTags();
+
+	// Drop filters for folders and tags that no longer exist
+	if (ccpmTemplateFilter.folder && !folders.includes(ccpmTemplateFilter.folder)) {
+		ccpmTemplateFilter.folder = null;
+	}
+	ccpmTemplateFilter.tags = ccpmTemplateFilter.tags.filter(tag => tags.includes(tag));
+
+	if (folders.length === 0 && tags.length === 0) {
+		filtersDiv.innerHTML = '';
+		return;
+	}
+
+	const hasActiveFilter = ccpmTemplateFilter.folder !== null || ccpmTemplateFilter.tags.length > 0;
+	filtersDiv.innerHTML = `
+		<div class="flex-container alignItemsCenter flexGap10 flexWrap">
+			${folders.length > 0 ? `
+				<select id="ccpm-filter-folder" class="text_pole" style="width: auto;">
+					<option value="__all__" ${ccpmTemplateFilter.folder === null ? 'selected' : ''}>All folders</option>
+					<option value="__none__" ${ccpmTemplateFilter.folder === '' ? 'selected' : ''}>No folder</option>
+					${folders.map(folder => `<option value="${escapeHtml(folder)}" ${ccpmTemplateFilter.folder === folder ? 'selected' : ''}>${escapeHtml(folder)}</option>`).join('')}
+				</select>
+			` : ''}
+			<div class="flex-container alignItemsCenter flexGap5 flexWrap">
+				${tags.map(tag => `
+					<span class="ccpm-tag-chip ccpm-tag-filter interactable ${ccpmTemplateFilter.tags.includes(tag) ? 'selected' : ''}" data-tag="${escapeHtml(tag)}" title="Filter by tag">${escapeHtml(tag)}</span>
+				`).join('')}
+			</div>
+			${hasActiveFilter ? '<a id="ccpm-filter-clear" class="fontsize90p" style="cursor: pointer;"><i class="fa-solid fa-xmark"></i> Clear filters</a>' : ''}
+		</div>
+	`;
+}
+
+/**
+ * Fill the main modal's default template select
+ */
+function renderDefaultTemplateSelect() {
+	const select = document.getElementById('ccpm-default-template');
+	if (!select) return;
+
+	const defaultTemplateId = normalizeLockValue(promptTemplateManager.storage.getDefaultTemplateLock())?.templateId ?? null;
+	const isMissing = defaultTemplateId && !promptTemplateManager.getTemplate(defaultTemplateId);
+	select.innerHTML = `
+		<option value="">None - keep the current prompts when nothing is locked</option>
+		${isMissing ? `<option value="${escapeHtml(defaultTemplateId)}" selected>Missing template (${escapeHtml(defaultTemplateId)})</option>` : ''}
+		${promptTemplateManager.listTemplates().map(t => `<option value="${escapeHtml(t.id)}" ${t.id === defaultTemplateId ? 'selected' : ''}>${escapeHtml(t.name)}</option>`).join('')}
+	`;
+}
+
+/**
+ * Render a search snippet with the matching text highlighted
+ * @param {{before: string, match: string, after: string}} snippet
+ * @returns {string} HTML
+ */
+function renderHighlightedSnippet(snippet) {
+	return `${escapeHtml(snippet.before)}<mark>${escapeHtml(snippet.match)}</mark>${escapeHtml(snippet.after)}`;
+}
+
+/**
+ * Render search results in place of the template list
+ * @param {HTMLElement} listDiv
+ * @param {Array} results - Output of PromptTemplateManager.searchTemplates
+ */
+function renderTemplateSearchResults(listDiv, results) {
+	if (results.length === 0) {
+		listDiv.innerHTML = `
+			<div class="flex-container justifyCenter">
+				<div class="text_pole textAlignCenter">
+					<i class="fa-solid fa-magnifying-glass"></i>
+					No templates or prompts match your search.
+				</div>
+			</div>
+		`;
+		return;
+	}
+
+	const fieldLabels = { name: 'Name', description: 'Description' };
+	listDiv.innerHTML = results.map(({ template, matches }) => `
+		<div class="text_pole padding10 marginBot10">
+			<div class="flex-container spaceBetween alignItemsCenter marginBot5">
+				<strong>${escapeHtml(template.name)}</strong>
+				<small class="text_muted">${matches.length} match(es)</small>
+			</div>
+			${matches.map(match => `
+				<div class="ccpm-search-snippet fontsize90p interactable" data-template-id="${escapeHtml(template.id)}" ${match.identifier ? `data-identifier="${escapeHtml(match.identifier)}"` : ''} title="Open in prompt viewer">
+					<span class="text_muted">${escapeHtml(match.field === 'prompt' ? match.promptName : fieldLabels[match.field])}:</span>
+					${renderHighlightedSnippet(match.snippet)}
+				</div>
+			`).join('')}
+		</div>
+	`).join('');
+}
+
 // escapeHtml is now imported from ST's utils.js
 
 function setupTemplateManagerEvents() {
@@ -1622,14 +5079,127 @@ function setupTemplateManagerEvents() {
 	document.getElementById('ccpm-export-all')?.addEventListener('click', () => {
 		exportAllTemplates();
 	});
+
+	document.getElementById('ccpm-ptm-search')?.addEventListener('input', () => {
+		renderPromptTemplateList();
+	});
+
+	// Search snippets open the prompt viewer with the matching prompt expanded
+	document.getElementById('ccpm-ptm-list')?.addEventListener('click', (e) => {
+		const snippet = e.target.closest('.ccpm-search-snippet');
+		if (snippet) {
+			window.ccpmViewPrompts(snippet.dataset.templateId, { expandIdentifier: snippet.dataset.identifier });
+		}
+	});
+
+	// Filter controls are re-rendered with the list, so listen on their container
+	const filtersDiv = document.getElementById('ccpm-ptm-filters');
+	filtersDiv?.addEventListener('change', (e) => {
+		if (e.target.id === 'ccpm-filter-folder') {
+			const value = e.target.value;
+			ccpmTemplateFilter.folder = value === '__all__' ? null : value === '__none__' ? '' : value;
+			renderPromptTemplateList();
+		}
+	});
+	filtersDiv?.addEventListener('click', (e) => {
+		const chip = e.target.closest('.ccpm-tag-filter');
+		if (chip) {
+			const tag = chip.dataset.tag;
+			ccpmTemplateFilter.tags = ccpmTemplateFilter.tags.includes(tag)
+				? ccpmTemplateFilter.tags.filter(t => t !== tag)
+				: [...ccpmTemplateFilter.tags, tag];
+			renderPromptTemplateList();
+		} else if (e.target.closest('#ccpm-filter-clear')) {
+			ccpmTemplateFilter = { folder: null, tags: [] };
+			renderPromptTemplateList();
+		}
+	});
+
+	document.getElementById('ccpm-default-template')?.addEventListener('change', async (e) => {
+		const success = e.target.value
+			? await promptTemplateManager.lockTemplate(e.target.value, 'default')
+			: await promptTemplateManager.clearTemplateLock('default');
+		if (success) {
+			await renderPromptTemplateList();
+		}
+	});
+
+	document.getElementById('ccpm-undo-apply')?.addEventListener('click', async () => {
+		await promptTemplateManager.undoLastApply();
+	});
+
+	document.getElementById('ccpm-inspect-locks')?.addEventListener('click', async () => {
+		await showLockInspector();
+	});
+
+	document.getElementById('ccpm-lock-dashboard')?.addEventListener('click', async () => {
+		await showLockDashboard();
+		await renderPromptTemplateList();
+	});
+	updateUndoApplyButton();
+}
+
+/**
+ * Enable the modal's "Undo Apply" button and the toasts' Undo buttons only when they have something to undo
+ */
+function updateUndoApplyButton() {
+	const lastEntry = promptTemplateManager.applyUndoStack.at(-1);
+	// Toast buttons undo their own application, which is only possible while it is the last one
+	document.querySelectorAll('.ccpm-undo-apply-toast').forEach(toastButton => {
+		toastButton.disabled = toastButton.dataset.undoId !== lastEntry?.id;
+	});
+
+	const button = document.getElementById('ccpm-undo-apply');
+	if (!button) return;
+
+	button.classList.toggle('disabled', !lastEntry);
+	button.title = lastEntry
+		? `Restore the prompts from before "${lastEntry.templateName}" was applied`
+		: 'No template application to undo';
 }
 
 // Store reference to the main template manager popup
 let ccpmMainPopup = null;
 
+// Folder and tag filters of the template list; folder '' means "no folder", null means all
+let ccpmTemplateFilter = { folder: null, tags: [] };
+
 // Expose template management functions for buttons
 window.ccpmApplyTemplate = async function(id) {
-	if (await promptTemplateManager.applyTemplate(id)) {
+	const template = promptTemplateManager.getTemplate(id);
+	if (!template) {
+		toastr.error('Template not found');
+		return;
+	}
+
+	const confirmContent = document.createElement('div');
+	confirmContent.innerHTML = `
+		<div class="flex-container flexFlowColumn flexGap10">
+			<h4>Apply Template?</h4>
+			<p>Apply "<strong>${escapeHtml(template.name)}</strong>" to the current prompts?</p>
+			${getApplyOptionsHtml('ccpm-apply')}
+			${getParameterInputsHtml('ccpm-apply', template.parameters)}
+			${getCompareLinkHtml(id)}
+		</div>
+	`;
+
+	let applyOptions = null;
+	const confirmPopup = new Popup(confirmContent, POPUP_TYPE.CONFIRM, '', {
+		okButton: 'Apply',
+		cancelButton: 'Cancel',
+		allowVerticalScrolling: true,
+		onOpen: () => bindApplyOptionDefaults(confirmContent, 'ccpm-apply'),
+		onClosing: () => {
+			applyOptions = {
+				...readApplyOptions(confirmContent, 'ccpm-apply'),
+				parameterValues: readParameterValues(confirmContent, 'ccpm-apply', template.parameters),
+			};
+			return true;
+		}
+	});
+	if (await confirmPopup.show() !== POPUP_RESULT.AFFIRMATIVE) return;
+
+	if (await promptTemplateManager.applyTemplate(id, applyOptions || {})) {
 		toastr.success('Template applied successfully!');
 		// Close the main popup properly using complete() to trigger proper cleanup
 		if (ccpmMainPopup) {
@@ -1640,13 +5210,66 @@ window.ccpmApplyTemplate = async function(id) {
 	}
 };
 
-window.ccpmEditTemplate = async function(id) {
-	const template = promptTemplateManager.getTemplate(id);
-	if (!template) {
-		toastr.error('Template not found');
-		return;
+window.ccpmEditTemplate = async function(id) {
+	const template = promptTemplateManager.getTemplate(id);
+	if (!template) {
+		toastr.error('Template not found');
+		return;
+	}
+	await showEditTemplateDialog(template);
+};
+
+window.ccpmCreateChildTemplate = async function(id) {
+	const parent = promptTemplateManager.getTemplate(id);
+	if (!parent) {
+		toastr.error('Template not found');
+		return;
+	}
+
+	const content = document.createElement('div');
+	content.innerHTML = `
+		<div class="flex-container flexFlowColumn flexGap10">
+			<p>Create a template based on "<strong>${escapeHtml(parent.name)}</strong>". It stores only what you change; everything else follows the parent, including later edits.</p>
+			<div class="flex-container flexFlowColumn">
+				<label for="ccpm-child-name"><strong>Template Name:</strong></label>
+				<input type="text" id="ccpm-child-name" class="text_pole" value="${escapeHtml(promptTemplateManager.getUniqueTemplateName(`${parent.name} (variant)`))}" required>
+			</div>
+			<div class="flex-container flexFlowColumn">
+				<label for="ccpm-child-desc"><strong>Description:</strong></label>
+				<textarea id="ccpm-child-desc" class="text_pole" style="min-height: 60px; resize: vertical;"></textarea>
+			</div>
+		</div>
+	`;
+
+	let capturedData = null;
+
+	const popup = new Popup(content, POPUP_TYPE.CONFIRM, '', {
+		okButton: 'Create',
+		cancelButton: 'Cancel',
+		onClosing: (popup) => {
+			if (popup.result === POPUP_RESULT.AFFIRMATIVE) {
+				const name = document.getElementById('ccpm-child-name')?.value.trim();
+				const description = document.getElementById('ccpm-child-desc')?.value.trim();
+
+				if (!name) {
+					toastr.error('Template name is required');
+					return false;
+				}
+
+				capturedData = { name, description };
+			}
+			return true;
+		}
+	});
+
+	const result = await popup.show();
+	if (!result || !capturedData) return;
+
+	const child = promptTemplateManager.createChildTemplate(id, capturedData.name, capturedData.description);
+	if (child) {
+		toastr.success(`Template "${child.name}" created from "${parent.name}"`);
+		await renderPromptTemplateList();
 	}
-	await showEditTemplateDialog(template);
 };
 
 window.ccpmCopyTemplateId = async function(id) {
@@ -1681,6 +5304,9 @@ window.ccpmDeleteTemplate = async function(id) {
 	content.innerHTML = `
 		<div class="flex-container flexFlowColumn flexGap10">
 			<p>Are you sure you want to delete the template "<strong>${escapeHtml(template.name)}</strong>"?</p>
+			${promptTemplateManager.getChildTemplates(id).length > 0 ? `
+				<p class="fontsize90p">Templates based on it (${promptTemplateManager.getChildTemplates(id).map(child => escapeHtml(child.name)).join(', ')}) keep their prompts and will inherit from ${template.parentId ? `"${escapeHtml(promptTemplateManager.getTemplate(template.parentId)?.name || '')}"` : 'no template'} instead.</p>
+			` : ''}
 			<div class="text_pole padding10 text_danger">
 				<strong>⚠️ This action cannot be undone.</strong>
 			</div>
@@ -1712,8 +5338,18 @@ window.ccpmShowLockMenu = async function(templateId) {
 	}
 
 	const currentLocks = await promptTemplateManager.getCurrentLocks();
+	const currentLockOptions = promptTemplateManager.lockManager.currentLockOptions;
+	const currentConnectionPattern = promptTemplateManager.lockManager.currentConnectionPattern;
 	const context = promptTemplateManager.lockManager.chatContext.getCurrent();
 
+	// Tag locks are set per tag; the menu edits the selected tag's lock
+	const tagLocks = promptTemplateManager.lockManager.storage.getTagTemplateLocks();
+	const getTagLockTemplateId = (tagId) => normalizeLockValue(tagLocks[tagId])?.templateId ?? null;
+	const entityTagIds = tag_map?.[promptTemplateManager.lockManager.getTagEntityKey(context)] || [];
+	const selectedTagId = promptTemplateManager.lockManager.currentTag?.id
+		?? promptTemplateManager.lockManager.getEntityTags(promptTemplateManager.lockManager.getTagEntityKey(context))[0]?.id
+		?? tags?.[0]?.id;
+
 	// Determine available lock targets based on context
 	const availableTargets = [];
 	if (context.characterName) {
@@ -1725,11 +5361,26 @@ window.ccpmShowLockMenu = async function(templateId) {
 	if (context.isGroupChat && context.groupId) {
 		availableTargets.push('group');
 	}
+	if (tags?.length > 0) {
+		availableTargets.push('tag');
+	}
+	if (user_avatar) {
+		availableTargets.push('persona');
+	}
+	if (getCurrentConnection().source) {
+		availableTargets.push('connection');
+	}
+	if (getCurrentPresetName()) {
+		availableTargets.push('preset');
+	}
+	availableTargets.push('default');
+
+	// Preselect the apply options of an existing lock of this template
+	const lockedTarget = availableTargets.find(target => currentLocks[target] === templateId);
+	const lockApplyOptions = lockedTarget ? currentLockOptions[lockedTarget] || {} : {};
 
 	const autoApplyMode = extension_settings.ccPromptManager?.autoApplyMode || AUTO_APPLY_MODES.ASK;
-	const preferCharacterOverChat = extension_settings.ccPromptManager?.preferCharacterOverChat ?? true;
-	const preferGroupOverChat = extension_settings.ccPromptManager?.preferGroupOverChat ?? true;
-	const preferIndividualCharacterInGroup = extension_settings.ccPromptManager?.preferIndividualCharacterInGroup ?? false;
+	const driftCheckMode = extension_settings.ccPromptManager?.driftCheckMode || DRIFT_CHECK_MODES.OFF;
 
 	const content = document.createElement('div');
 	content.innerHTML = `
@@ -1739,8 +5390,9 @@ window.ccpmShowLockMenu = async function(templateId) {
 
 			<div class="flex-container flexFlowColumn flexGap10">
 				${availableTargets.map(target => {
-					const isCurrentlyLocked = currentLocks[target] === templateId;
-					const hasOtherLock = currentLocks[target] && currentLocks[target] !== templateId;
+					const lockedTemplateId = target === 'tag' ? getTagLockTemplateId(selectedTagId) : currentLocks[target];
+					const isCurrentlyLocked = lockedTemplateId === templateId;
+					const hasOtherLock = lockedTemplateId && lockedTemplateId !== templateId;
 					const contextName = getContextName(context, target);
 
 					return `
@@ -1752,15 +5404,42 @@ window.ccpmShowLockMenu = async function(templateId) {
 							<span>
 								<strong>${target.charAt(0).toUpperCase() + target.slice(1)}</strong>
 								${contextName ? ` - <small class="text_muted">${escapeHtml(contextName)}</small>` : ''}
-								${hasOtherLock ? '<br><small class="text_danger">⚠️ Another template is locked</small>' : ''}
+								<br><small class="text_danger" id="ccpm-lock-${target}-other" ${hasOtherLock ? '' : 'style="display: none;"'}>⚠️ Another template is locked</small>
 							</span>
 						</label>
+						${target === 'tag' ? `
+							<div class="flex-container alignItemsCenter flexGap5" style="margin-left: 25px;">
+								<small class="text_muted">Tag:</small>
+								<select id="ccpm-lock-tag-id" class="text_pole flex1">
+									${[
+										[context.isGroupChat ? 'This group\'s tags' : 'This character\'s tags', tags.filter(t => entityTagIds.includes(t.id))],
+										['Other tags', tags.filter(t => !entityTagIds.includes(t.id))],
+									].filter(([, groupTags]) => groupTags.length > 0).map(([label, groupTags]) => `
+										<optgroup label="${label}">
+											${groupTags.map(t => `<option value="${escapeHtml(t.id)}" ${t.id === selectedTagId ? 'selected' : ''}>${escapeHtml(t.name)}${getTagLockTemplateId(t.id) ? ` → ${escapeHtml(promptTemplateManager.getTemplate(getTagLockTemplateId(t.id))?.name || 'missing template')}` : ''}</option>`).join('')}
+										</optgroup>
+									`).join('')}
+								</select>
+							</div>
+						` : ''}
+						${target === 'connection' ? `
+							<div class="flex-container alignItemsCenter flexGap5" style="margin-left: 25px;">
+								<small class="text_muted">Model pattern:</small>
+								<input type="text" id="ccpm-lock-connection-model" class="text_pole flex1" value="${escapeHtml(currentConnectionPattern ?? '')}" placeholder="Any model, or e.g. claude-3-5* or /^gpt-4o/">
+							</div>
+						` : ''}
 					`;
 				}).join('')}
 			</div>
 
 			${availableTargets.length === 0 ? '<p class="text_muted">No lock targets available in current context.</p>' : ''}
 
+			<div class="completion_prompt_manager_popup_entry_form_control">
+				<small class="text_muted">How this template is applied from its locks:</small>
+				${getApplyOptionsHtml('ccpm-lock', lockApplyOptions)}
+				${getParameterInputsHtml('ccpm-lock', template.parameters, lockApplyOptions.parameterValues)}
+			</div>
+
 			<hr>
 
 			<div class="completion_prompt_manager_popup_entry_form_control">
@@ -1784,26 +5463,42 @@ window.ccpmShowLockMenu = async function(templateId) {
 			<hr>
 
 			<div class="completion_prompt_manager_popup_entry_form_control">
-				<h4>⚙️ Lock Priority:</h4>
-				${context.isGroupChat ? `
-					<div class="marginTop10">
-						<label class="checkbox_label">
-							<input type="checkbox" id="ccpm-pref-group-over-chat" ${preferGroupOverChat ? 'checked' : ''} onchange="window.ccpmSetPriority('preferGroupOverChat', this.checked)">
-							<span>Prefer group settings over chat</span>
-						</label>
-						<label class="checkbox_label">
-							<input type="checkbox" id="ccpm-pref-individual-char" ${preferIndividualCharacterInGroup ? 'checked' : ''} onchange="window.ccpmSetPriority('preferIndividualCharacterInGroup', this.checked)">
-							<span>Prefer character settings over group or chat</span>
-						</label>
-					</div>
-				` : `
-					<div class="marginTop10">
-						<label class="checkbox_label">
-							<input type="checkbox" id="ccpm-pref-char-over-chat" ${preferCharacterOverChat ? 'checked' : ''} onchange="window.ccpmSetPriority('preferCharacterOverChat', this.checked)">
-							<span>Prefer character settings over chat</span>
+				<h4>🛡️ Before generating, if prompts differ from the locked template:</h4>
+				<div class="marginTop10">
+					${[
+						[DRIFT_CHECK_MODES.OFF, 'Off - Don\'t check'],
+						[DRIFT_CHECK_MODES.WARN, 'Warn - Show a notification and generate'],
+						[DRIFT_CHECK_MODES.CONFIRM, 'Ask - Hold the generation until confirmed'],
+						[DRIFT_CHECK_MODES.REAPPLY, 'Re-apply - Restore the locked template and generate'],
+					].map(([mode, label]) => `
+						<label class="radio_label">
+							<input type="radio" name="ccpm-drift-check-mode" value="${mode}" ${driftCheckMode === mode ? 'checked' : ''} onchange="window.ccpmSetDriftCheckMode('${mode}')">
+							<span>${label}</span>
 						</label>
-					</div>
-				`}
+					`).join('')}
+				</div>
+			</div>
+
+			<hr>
+
+			<div class="completion_prompt_manager_popup_entry_form_control">
+				<h4>⚙️ Lock Priority:</h4>
+				<small class="text_muted">Drag lock sources to change which lock wins, highest priority first. The default template is used when nothing else is locked.</small>
+				<div class="flex-container flexGap10 marginTop10">
+					${[CHAT_TYPES.SINGLE, CHAT_TYPES.GROUP].map(chatType => `
+						<div class="flex1">
+							<strong class="fontsize90p">${chatType === CHAT_TYPES.GROUP ? 'Group chats' : 'Single chats'}${(chatType === CHAT_TYPES.GROUP) === context.isGroupChat ? ' (current)' : ''}</strong>
+							<ol class="ccpm-lock-priority-list" data-chat-type="${chatType}">
+								${getLockPriority(chatType).map(target => `
+									<li class="ccpm-lock-priority-item" data-target="${target}">
+										<span class="drag-handle">☰</span>
+										<span>${getLockPriorityLabel(target, chatType)}</span>
+									</li>
+								`).join('')}
+							</ol>
+						</div>
+					`).join('')}
+				</div>
 			</div>
 		</div>
 	`;
@@ -1812,11 +5507,86 @@ window.ccpmShowLockMenu = async function(templateId) {
 		okButton: false,
 		cancelButton: 'Close',
 		wide: true,
-		allowVerticalScrolling: true
+		allowVerticalScrolling: true,
+		onOpen: () => {
+			bindApplyOptionDefaults(content, 'ccpm-lock');
+			$(content).find('.ccpm-lock-priority-list').sortable({
+				delay: 30,
+				handle: '.drag-handle',
+				items: '.ccpm-lock-priority-item',
+				update: function() {
+					const order = Array.from(this.querySelectorAll('.ccpm-lock-priority-item')).map(li => li.dataset.target);
+					setLockPriority(this.dataset.chatType, order);
+				}
+			});
+			// Update the options of targets already locked to this template
+			content.querySelectorAll('#ccpm-lock-apply-mode, #ccpm-lock-order-mode, .ccpm-lock-param').forEach(select => {
+				select.addEventListener('change', async () => {
+					for (const target of availableTargets) {
+						if (content.querySelector(`#ccpm-lock-${target}`)?.checked) {
+							await promptTemplateManager.lockManager.setLock(target, templateId, getLockMenuApplyOptions(templateId), getLockMenuScope(target));
+						}
+					}
+				});
+			});
+			// The tag checkbox shows the selected tag's lock
+			content.querySelector('#ccpm-lock-tag-id')?.addEventListener('change', (e) => {
+				const lockedTemplateId = getTagLockTemplateId(e.target.value);
+				content.querySelector('#ccpm-lock-tag').checked = lockedTemplateId === templateId;
+				content.querySelector('#ccpm-lock-tag-other').style.display = lockedTemplateId && lockedTemplateId !== templateId ? '' : 'none';
+			});
+			// Editing the model pattern of a set connection lock moves the lock to the new pattern
+			let lockedModelPattern = currentLocks.connection === templateId ? currentConnectionPattern : null;
+			content.querySelector('#ccpm-lock-connection-model')?.addEventListener('change', async () => {
+				if (lockedModelPattern === null || !content.querySelector('#ccpm-lock-connection')?.checked) {
+					return;
+				}
+				const { modelPattern } = getLockMenuScope('connection');
+				if (modelPattern !== lockedModelPattern) {
+					await promptTemplateManager.lockManager.clearLock('connection', { modelPattern: lockedModelPattern });
+					await promptTemplateManager.lockManager.setLock('connection', templateId, getLockMenuApplyOptions(templateId), { modelPattern });
+					lockedModelPattern = modelPattern;
+					await renderPromptTemplateList();
+				}
+			});
+		}
 	});
 	popup.show();
 };
 
+/**
+ * Apply options and parameter values currently selected in the open lock menu
+ * @param {string} templateId - Template the lock menu was opened for
+ * @returns {Object|null}
+ */
+function getLockMenuApplyOptions(templateId) {
+	const template = promptTemplateManager.getTemplate(templateId);
+	const options = readApplyOptions(document, 'ccpm-lock');
+	const isDefaultMode = !options || (options.applyMode === APPLY_MODES.REPLACE && options.orderMergeMode === ORDER_MERGE_MODES.REPLACE);
+	const parameterValues = template?.parameters.length > 0 ? readParameterValues(document, 'ccpm-lock', template.parameters) : null;
+
+	// Locks with default options and no parameters are stored as a plain template id
+	if (isDefaultMode && !parameterValues) {
+		return null;
+	}
+	return { ...(isDefaultMode ? {} : options), ...(parameterValues ? { parameterValues } : {}) };
+}
+
+/**
+ * Extra lock key entered in the open lock menu for a target
+ * @param {string} target
+ * @returns {Object}
+ */
+function getLockMenuScope(target) {
+	if (target === 'connection') {
+		return { modelPattern: document.getElementById('ccpm-lock-connection-model')?.value.trim() || '' };
+	}
+	if (target === 'tag') {
+		return { tagId: document.getElementById('ccpm-lock-tag-id')?.value || null };
+	}
+	return {};
+}
+
 function getContextName(context, target) {
 	switch (target) {
 		case 'character':
@@ -1829,13 +5599,27 @@ function getContextName(context, target) {
 			}
 		case 'group':
 			return context.groupName || 'Current Group';
+		case 'tag': {
+			const currentTag = promptTemplateManager.lockManager.currentTag;
+			return currentTag ? `Active via "${currentTag.name}"` : 'No tag lock applies';
+		}
+		case 'persona':
+			return power_user.personas?.[user_avatar] || user_avatar || 'Current Persona';
+		case 'connection': {
+			const { source, model } = getCurrentConnection();
+			return model ? `${source} (${model})` : source || 'Current Connection';
+		}
+		case 'preset':
+			return getCurrentPresetName() || 'Current Preset';
+		case 'default':
+			return 'All chats without another lock';
 		default:
 			return '';
 	}
 }
 
 window.ccpmLockToTarget = async function(templateId, target) {
-	const success = await promptTemplateManager.lockTemplate(templateId, target);
+	const success = await promptTemplateManager.lockTemplate(templateId, target, getLockMenuApplyOptions(templateId), getLockMenuScope(target));
 	if (success) {
 		// The lock menu popup will close itself via its cancelButton
 		// Just refresh the template list in the main popup
@@ -1844,7 +5628,8 @@ window.ccpmLockToTarget = async function(templateId, target) {
 };
 
 window.ccpmClearLock = async function(target) {
-	const success = await promptTemplateManager.clearTemplateLock(target);
+	// Tag locks are cleared for the tag selected in the menu
+	const success = await promptTemplateManager.clearTemplateLock(target, target === 'tag' ? getLockMenuScope(target) : {});
 	if (success) {
 		// The lock menu popup will close itself via its cancelButton
 		// Just refresh the template list in the main popup
@@ -1858,13 +5643,511 @@ window.ccpmSetAutoApplyMode = function(mode) {
 	console.log('CCPM: Auto-apply mode set to:', mode);
 };
 
-window.ccpmSetPriority = function(preference, value) {
-	extension_settings.ccPromptManager[preference] = value;
+window.ccpmSetDriftCheckMode = function(mode) {
+	extension_settings.ccPromptManager.driftCheckMode = mode;
 	saveSettingsDebounced();
-	console.log('CCPM: Priority preference set:', preference, '=', value);
+	console.log('CCPM: Drift check mode set to:', mode);
 };
 
-window.ccpmViewPrompts = async function(templateId) {
+/**
+ * Get the lock priority chain for a chat type, highest priority first
+ * @param {string} chatType - CHAT_TYPES value
+ * @returns {string[]}
+ */
+function getLockPriority(chatType) {
+	return normalizeLockPriority(extension_settings.ccPromptManager?.lockPriority?.[chatType], chatType);
+}
+
+/**
+ * Save the lock priority chain for a chat type
+ * @param {string} chatType - CHAT_TYPES value
+ * @param {string[]} order - Lock targets, highest priority first
+ */
+function setLockPriority(chatType, order) {
+	const settings = extension_settings.ccPromptManager;
+	settings.lockPriority = { ...settings.lockPriority, [chatType]: normalizeLockPriority(order, chatType) };
+	saveSettingsDebounced();
+	console.log('CCPM: Lock priority set:', chatType, settings.lockPriority[chatType]);
+}
+
+/**
+ * Show how the lock for the current context was resolved
+ */
+async function showLockInspector() {
+	const { context, steps, result } = await promptTemplateManager.lockManager.inspectLocks();
+	const chatType = context.isGroupChat ? CHAT_TYPES.GROUP : CHAT_TYPES.SINGLE;
+	const { source, model } = getCurrentConnection();
+	const resultTemplate = result.templateId ? promptTemplateManager.getTemplate(result.templateId) : null;
+	const templateLabel = (templateId) => {
+		const template = promptTemplateManager.getTemplate(templateId);
+		return template ? `<strong>${escapeHtml(template.name)}</strong>` : `<span class="text_danger">⚠️ Missing template (${escapeHtml(templateId)})</span>`;
+	};
+
+	const contextRows = [
+		['Chat type', context.isGroupChat ? 'Group chat' : 'Single chat'],
+		context.isGroupChat ? ['Group', `${context.groupName || 'Unnamed Group'} (${context.groupId})`] : ['Character', context.characterName ? `${context.characterName} (${context.characterAvatar || 'no avatar'})` : null],
+		['Chat', context.chatId],
+		['Persona', user_avatar ? getContextName(context, 'persona') : null],
+		['Connection', source ? `${source}${model ? ` / ${model}` : ''}` : null],
+		['Preset', getCurrentPresetName()],
+	];
+
+	const winnerIndex = steps.findIndex(step => step.templateId);
+	const content = `
+		<div class="flex-container flexFlowColumn flexGap10">
+			<h4>Why this template?</h4>
+			<div>
+				<strong>Current context</strong>
+				<table class="fontsize90p">
+					${contextRows.map(([label, value]) => `<tr><td class="text_muted">${label}</td><td>${value ? escapeHtml(value) : '<span class="text_muted">none</span>'}</td></tr>`).join('')}
+				</table>
+			</div>
+			<div>
+				<strong>Lock sources in priority order (${chatType === CHAT_TYPES.GROUP ? 'group chats' : 'single chats'})</strong>
+				<ol class="fontsize90p">
+					${steps.map((step, index) => {
+						const status = !step.templateId ? '<span class="text_muted">not locked</span>'
+							: index === winnerIndex ? `✅ ${templateLabel(step.templateId)} - wins`
+							: `${templateLabel(step.templateId)} - <span class="text_muted">skipped, a higher source is locked</span>`;
+						return `
+							<li class="marginBot5">
+								${getLockPriorityLabel(step.target, chatType)}: ${status}
+								${step.note ? `<div class="text_muted">${escapeHtml(step.note)}</div>` : ''}
+								<div class="text_muted"><code>${escapeHtml(step.location || 'not checked')}</code></div>
+							</li>
+						`;
+					}).join('')}
+				</ol>
+			</div>
+			<div>
+				<strong>Result of getLockToApply()</strong>
+				<div class="fontsize90p">
+					${result.templateId ? `
+						<div>Source: ${escapeHtml(result.source)}</div>
+						<div>Template: ${templateLabel(result.templateId)}</div>
+						${resultTemplate ? '' : '<div class="text_danger">The locked template was deleted, so nothing is applied. Lock another template or clear this lock.</div>'}
+						${Object.keys(result.options || {}).length > 0 ? `<div>Apply options: <code>${escapeHtml(JSON.stringify(result.options))}</code></div>` : ''}
+					` : '<div>No lock applies; the current prompts are kept.</div>'}
+				</div>
+			</div>
+		</div>
+	`;
+
+	const popup = new Popup(content, POPUP_TYPE.TEXT, '', {
+		okButton: false,
+		cancelButton: 'Close',
+		wide: true,
+		allowVerticalScrolling: true
+	});
+	await popup.show();
+}
+
+/**
+ * Describe what a stored lock applies to
+ * @param {Object} entry - Entry from TemplateLockManager.listAllLocks
+ * @returns {string}
+ */
+function getLockEntryName(entry) {
+	switch (entry.target) {
+		case 'character':
+			return characters?.find(x => x.avatar === entry.key)?.name || entry.key;
+		case 'group':
+			return groups?.find(x => x.id === entry.key)?.name || entry.key;
+		case 'chat': {
+			const owner = entry.isGroupOwner
+				? groups?.find(x => x.id === entry.ownerKey)?.name
+				: characters?.find(x => x.avatar === entry.ownerKey)?.name;
+			return `${owner || entry.ownerKey} - ${entry.chatId}`;
+		}
+		case 'tag':
+			return tags?.find(t => t.id === entry.key)?.name || entry.key;
+		case 'persona':
+			return power_user.personas?.[entry.key] || entry.key;
+		case 'connection':
+			return `${entry.key} (${entry.modelPattern || 'any model'})`;
+		case 'preset':
+			return entry.key;
+		default:
+			return 'All chats without another lock';
+	}
+}
+
+/**
+ * Problems of a stored lock: a deleted template, or a character, group, tag, persona or source that no longer exists
+ * @param {Object} entry - Entry from TemplateLockManager.listAllLocks
+ * @returns {string[]}
+ */
+function getLockEntryProblems(entry) {
+	const problems = [];
+	if (!promptTemplateManager.getTemplate(entry.templateId)) {
+		problems.push('Template deleted');
+	}
+	if (entry.missing) {
+		problems.push('Chat file missing');
+	} else if (!promptTemplateManager.lockManager.lockOwnerExists(entry)) {
+		problems.push({
+			character: 'Character missing',
+			group: 'Group missing',
+			chat: entry.isGroupOwner ? 'Group missing' : 'Character missing',
+			tag: 'Tag deleted',
+			persona: 'Persona deleted',
+			connection: 'Unknown source',
+			preset: 'Preset deleted',
+		}[entry.target]);
+	}
+	return problems;
+}
+
+/**
+ * Render the lock dashboard table
+ * @param {HTMLElement} content - Dashboard popup content
+ */
+function renderLockDashboard(content) {
+	const listDiv = content.querySelector('#ccpm-dashboard-list');
+	const problemsOnly = content.querySelector('#ccpm-dashboard-problems-only').checked;
+	const entries = promptTemplateManager.lockManager.listAllLocks()
+		.map(entry => ({ entry, problems: getLockEntryProblems(entry) }))
+		.filter(({ problems }) => !problemsOnly || problems.length > 0);
+	content.querySelector('#ccpm-dashboard-select-all').checked = false;
+
+	if (entries.length === 0) {
+		listDiv.innerHTML = `<div class="text_muted">${problemsOnly ? 'No locks with problems.' : 'No locks yet.'}</div>`;
+		return;
+	}
+
+	listDiv.innerHTML = `
+		<table class="fontsize90p">
+			<tr class="text_muted">
+				<th></th><th>Source</th><th>Applies to</th><th>Template</th><th>Problems</th>
+			</tr>
+			${entries.map(({ entry, problems }) => {
+				const template = promptTemplateManager.getTemplate(entry.templateId);
+				return `
+					<tr>
+						<td><input type="checkbox" class="ccpm-dashboard-select" data-id="${escapeHtml(entry.id)}"></td>
+						<td>${getLockPriorityLabel(entry.target, entry.isGroupOwner ? CHAT_TYPES.GROUP : CHAT_TYPES.SINGLE)}</td>
+						<td>${escapeHtml(getLockEntryName(entry))}</td>
+						<td>
+							${template ? escapeHtml(template.name) : `<span class="text_muted">${escapeHtml(entry.templateId)}</span>`}
+							${entry.pending ? '<div class="text_muted fontsize80p">Applies when the chat is opened</div>' : ''}
+						</td>
+						<td>${problems.length > 0 ? `<span class="text_danger">⚠️ ${escapeHtml(problems.join(', '))}</span>` : ''}</td>
+					</tr>
+				`;
+			}).join('')}
+		</table>
+	`;
+}
+
+/**
+ * Show every stored lock with orphan detection and bulk reassign / clear
+ */
+async function showLockDashboard() {
+	const content = document.createElement('div');
+	content.innerHTML = `
+		<div class="flex-container flexFlowColumn flexGap10">
+			<h4>Lock Dashboard</h4>
+			<small class="text_muted">Chat locks are listed once their chat has been opened or locked; use Scan Chat Files to find locks set before that${promptTemplateManager.storage.getExtensionSettings().chatLockIndexSeeded ? '' : ' (not scanned yet)'}. Changes to chats that aren't open are written when the chat is next opened.</small>
+			<div class="flex-container alignItemsCenter flexGap10 flexWrap">
+				<label class="checkbox_label">
+					<input type="checkbox" id="ccpm-dashboard-select-all">
+					<span>Select all</span>
+				</label>
+				<label class="checkbox_label">
+					<input type="checkbox" id="ccpm-dashboard-problems-only">
+					<span>Only problems</span>
+				</label>
+				<select id="ccpm-dashboard-template" class="text_pole flex1">
+					${promptTemplateManager.listTemplates().map(t => `<option value="${escapeHtml(t.id)}">${escapeHtml(t.name)}</option>`).join('')}
+				</select>
+				<div class="menu_button menu_button_icon interactable" id="ccpm-dashboard-reassign" title="Point the selected locks at the chosen template">
+					<i class="fa-solid fa-arrow-right-arrow-left"></i>
+					<span>Reassign</span>
+				</div>
+				<div class="menu_button menu_button_icon interactable" id="ccpm-dashboard-clear" title="Delete the selected locks">
+					<i class="fa-solid fa-unlock"></i>
+					<span>Clear</span>
+				</div>
+				<div class="menu_button menu_button_icon interactable" id="ccpm-dashboard-rescan" title="Read every character and group chat file for locks">
+					<i class="fa-solid fa-rotate"></i>
+					<span>Scan Chat Files</span>
+				</div>
+			</div>
+			<div id="ccpm-dashboard-scan" class="flex-container alignItemsCenter flexGap10" style="display: none;">
+				<progress id="ccpm-dashboard-scan-progress" class="flex1" value="0" max="1"></progress>
+				<small id="ccpm-dashboard-scan-status" class="text_muted"></small>
+				<div class="menu_button menu_button_icon interactable" id="ccpm-dashboard-scan-cancel" title="Stop reading chat files">
+					<i class="fa-solid fa-xmark"></i>
+					<span>Cancel</span>
+				</div>
+			</div>
+			<div id="ccpm-dashboard-list" class="flex-container flexFlowColumn overflowYAuto" style="max-height: 60vh;"></div>
+		</div>
+	`;
+
+	const getSelectedEntries = () => {
+		const selectedIds = new Set(Array.from(content.querySelectorAll('.ccpm-dashboard-select:checked')).map(input => input.dataset.id));
+		return promptTemplateManager.lockManager.listAllLocks().filter(entry => selectedIds.has(entry.id));
+	};
+
+	const updateSelected = async (templateId) => {
+		const entries = getSelectedEntries();
+		let updated = 0;
+		for (const entry of entries) {
+			if (await promptTemplateManager.lockManager.updateStoredLock(entry, templateId)) {
+				updated++;
+			}
+		}
+		if (updated < entries.length) {
+			toastr.warning(`${entries.length - updated} lock(s) could not be changed`);
+		}
+		renderLockDashboard(content);
+		return updated;
+	};
+
+	let scanController = null;
+	const popup = new Popup(content, POPUP_TYPE.TEXT, '', {
+		okButton: false,
+		cancelButton: 'Close',
+		wide: true,
+		large: true,
+		allowVerticalScrolling: true,
+		onClosing: () => {
+			scanController?.abort();
+			return true;
+		},
+		onOpen: () => {
+			const lockManager = promptTemplateManager.lockManager;
+			const scanDiv = content.querySelector('#ccpm-dashboard-scan');
+			const rescanButton = content.querySelector('#ccpm-dashboard-rescan');
+
+			// Reading every chat file is slow on large libraries, so it only runs when asked for
+			const scanChatFiles = async () => {
+				if (scanController) {
+					return;
+				}
+				const confirmPopup = new Popup(`
+					<p>Read every character and group chat file for locks?</p>
+					<p class="text_muted fontsize90p">This downloads each chat from the server and can take a while with many chats.</p>
+				`, POPUP_TYPE.CONFIRM, '', {
+					okButton: 'Scan',
+					cancelButton: 'Cancel'
+				});
+				if (await confirmPopup.show() !== POPUP_RESULT.AFFIRMATIVE) {
+					return;
+				}
+
+				scanController = new AbortController();
+				rescanButton.classList.add('disabled');
+				scanDiv.style.display = '';
+				const progress = content.querySelector('#ccpm-dashboard-scan-progress');
+				const status = content.querySelector('#ccpm-dashboard-scan-status');
+				try {
+					const result = await lockManager.refreshChatLockIndex({
+						scanFiles: true,
+						signal: scanController.signal,
+						onProgress: (done, total) => {
+							progress.max = Math.max(total, 1);
+							progress.value = done;
+							status.textContent = `${done} / ${total}`;
+						},
+					});
+					if (result.cancelled) {
+						toastr.info('Chat scan cancelled');
+					} else {
+						toastr.success(`Read ${result.scanned} chat(s)`);
+					}
+				} catch (error) {
+					console.error('CCPM: Failed to scan chat files for locks:', error);
+					toastr.error('Failed to read chat locks');
+				} finally {
+					scanController = null;
+					rescanButton.classList.remove('disabled');
+					scanDiv.style.display = 'none';
+				}
+				renderLockDashboard(content);
+			};
+
+			renderLockDashboard(content);
+			rescanButton.addEventListener('click', scanChatFiles);
+			content.querySelector('#ccpm-dashboard-scan-cancel').addEventListener('click', () => scanController?.abort());
+			// Only the chat lists of owners already in the index are checked on open
+			lockManager.refreshChatLockIndex()
+				.catch(error => {
+					console.error('CCPM: Failed to refresh the chat lock index:', error);
+					toastr.error('Failed to read chat locks');
+				})
+				.then(() => renderLockDashboard(content));
+
+			content.querySelector('#ccpm-dashboard-problems-only').addEventListener('change', () => renderLockDashboard(content));
+			content.querySelector('#ccpm-dashboard-select-all').addEventListener('change', (e) => {
+				content.querySelectorAll('.ccpm-dashboard-select').forEach(input => input.checked = e.target.checked);
+			});
+
+			content.querySelector('#ccpm-dashboard-reassign').addEventListener('click', async () => {
+				const template = promptTemplateManager.getTemplate(content.querySelector('#ccpm-dashboard-template').value);
+				if (!template) {
+					toastr.warning('Choose a template to reassign the locks to');
+					return;
+				}
+				if (getSelectedEntries().length === 0) {
+					toastr.info('No locks selected');
+					return;
+				}
+				const updated = await updateSelected(template.id);
+				if (updated > 0) {
+					toastr.success(`Reassigned ${updated} lock(s) to ${template.name}`);
+				}
+			});
+
+			content.querySelector('#ccpm-dashboard-clear').addEventListener('click', async () => {
+				const count = getSelectedEntries().length;
+				if (count === 0) {
+					toastr.info('No locks selected');
+					return;
+				}
+				const confirmPopup = new Popup(`<p>Clear ${count} selected lock(s)?</p>`, POPUP_TYPE.CONFIRM, '', {
+					okButton: 'Clear',
+					cancelButton: 'Cancel'
+				});
+				if (await confirmPopup.show() !== POPUP_RESULT.AFFIRMATIVE) {
+					return;
+				}
+				const updated = await updateSelected(null);
+				if (updated > 0) {
+					toastr.success(`Cleared ${updated} lock(s)`);
+				}
+			});
+		}
+	});
+	await popup.show();
+}
+
+/**
+ * Whether a lock is independent of the chat (persona, connection, preset or the default template)
+ * @param {Object} effectiveLock - Resolved lock
+ * @returns {boolean}
+ */
+function isChatIndependentLock(effectiveLock) {
+	return ['persona', 'connection', 'preset', 'default'].includes(effectiveLock.target);
+}
+
+/**
+ * Describe where a resolved lock comes from for auto-apply confirmations. Locks that don't
+ * come from the chat are described by their own target.
+ * @param {Object} context - Chat context
+ * @param {Object} effectiveLock - Resolved lock
+ * @returns {{contextType: string, sourceName: string}}
+ */
+function describeLockContext(context, effectiveLock) {
+	if (isChatIndependentLock(effectiveLock)) {
+		return { contextType: effectiveLock.target, sourceName: getContextName(context, effectiveLock.target) };
+	}
+	return context.isGroupChat
+		? { contextType: 'group chat', sourceName: context.groupName || 'Unnamed Group' }
+		: { contextType: 'character', sourceName: context.characterName || 'Unknown Character' };
+}
+
+/**
+ * Label of a lock source in the priority lists
+ * @param {string} target - Lock target
+ * @param {string} chatType - CHAT_TYPES value
+ * @returns {string}
+ */
+function getLockPriorityLabel(target, chatType) {
+	if (target === 'chat' && chatType === CHAT_TYPES.GROUP) {
+		return 'Group chat';
+	}
+	return target.charAt(0).toUpperCase() + target.slice(1);
+}
+
+/**
+ * Edit the conditions of a prompt order entry in a template
+ * @param {string} templateId
+ * @param {string} identifier - Prompt identifier
+ * @returns {Promise<boolean>} Whether the conditions were saved
+ */
+async function showPromptConditionsDialog(templateId, identifier) {
+	const template = promptTemplateManager.getTemplate(templateId);
+	const entry = template?.promptOrder.find(e => e.identifier === identifier);
+	if (!entry) {
+		toastr.error('Prompt is not in the template\'s prompt order');
+		return false;
+	}
+
+	const conditions = normalizePromptConditions(entry.conditions) || {};
+	const conditionContext = promptTemplateManager.getConditionContext();
+	const content = document.createElement('div');
+	content.innerHTML = `
+		<div class="flex-container flexFlowColumn flexGap10">
+			<h3>Conditions: ${escapeHtml(template.prompts[identifier]?.name || identifier)}</h3>
+			<div class="text_muted fontsize90p">
+				When applying the template, this prompt stays enabled only if every condition set here matches. Leave everything empty to always use its enabled flag.
+			</div>
+			<div class="flex-container flexFlowColumn">
+				<label for="ccpm-conditions-chat-type"><strong>Chat type:</strong></label>
+				<select id="ccpm-conditions-chat-type" class="text_pole">
+					<option value="">Any</option>
+					<option value="${CHAT_TYPES.SINGLE}" ${conditions.chatType === CHAT_TYPES.SINGLE ? 'selected' : ''}>Single chats only</option>
+					<option value="${CHAT_TYPES.GROUP}" ${conditions.chatType === CHAT_TYPES.GROUP ? 'selected' : ''}>Group chats only</option>
+				</select>
+			</div>
+			<div class="flex-container flexFlowColumn">
+				<label for="ccpm-conditions-characters"><strong>Characters (comma-separated names or avatar files):</strong></label>
+				<input type="text" id="ccpm-conditions-characters" class="text_pole" value="${escapeHtml((conditions.characters || []).join(', '))}" placeholder="Any character">
+				<small class="text_muted">In group chats, matches if any member is listed, or the member about to speak when their own lock is applied.</small>
+			</div>
+			<div class="flex-container flexFlowColumn">
+				<label for="ccpm-conditions-api-sources"><strong>Chat completion sources (comma-separated):</strong></label>
+				<input type="text" id="ccpm-conditions-api-sources" class="text_pole" list="ccpm-conditions-api-source-list" value="${escapeHtml((conditions.apiSources || []).join(', '))}" placeholder="Any source">
+				<datalist id="ccpm-conditions-api-source-list">
+					${Object.values(chat_completion_sources || {}).map(source => `<option value="${escapeHtml(source)}"></option>`).join('')}
+				</datalist>
+				<small class="text_muted">Current source: <code>${escapeHtml(conditionContext.apiSource || 'none')}</code></small>
+			</div>
+		</div>
+	`;
+
+	let capturedConditions = null;
+	const popup = new Popup(content, POPUP_TYPE.CONFIRM, '', {
+		okButton: 'Save',
+		cancelButton: 'Cancel',
+		onClosing: (popup) => {
+			if (popup.result === POPUP_RESULT.AFFIRMATIVE) {
+				const splitList = (id) => (document.getElementById(id)?.value || '').split(',');
+				capturedConditions = {
+					chatType: document.getElementById('ccpm-conditions-chat-type')?.value || null,
+					characters: splitList('ccpm-conditions-characters'),
+					apiSources: splitList('ccpm-conditions-api-sources'),
+				};
+			}
+			return true;
+		}
+	});
+
+	const result = await popup.show();
+	if (!result || !capturedConditions) {
+		return false;
+	}
+
+	try {
+		promptTemplateManager.setPromptConditions(templateId, identifier, capturedConditions);
+		toastr.success('Prompt conditions saved');
+		return true;
+	} catch (error) {
+		console.error('CCPM: Failed to save prompt conditions:', error);
+		toastr.error('Failed to save prompt conditions');
+		return false;
+	}
+}
+
+/**
+ * View and reorder the prompts of a template
+ * @param {string} templateId
+ * @param {Object} [options]
+ * @param {string} [options.expandIdentifier] - Prompt whose content drawer is expanded on open
+ */
+window.ccpmViewPrompts = async function(templateId, options = {}) {
 	const template = promptTemplateManager.getTemplate(templateId);
 	if (!template) {
 		toastr.error('Template not found');
@@ -1895,6 +6178,17 @@ window.ccpmViewPrompts = async function(templateId) {
 				<h3>${escapeHtml(template.name)}</h3>
 			</div>
 			${template.description ? `<div class="text_muted">${escapeHtml(template.description)}</div>` : ''}
+			${template.parameters.length > 0 ? `
+				<div class="fontsize90p text_muted">
+					<i class="fa-solid fa-sliders"></i> Parameters: ${template.parameters.map(p => `<code>{{param:${escapeHtml(p.name)}}}</code> (${p.type}, default: ${escapeHtml(String(p.default))})`).join(', ')}
+				</div>
+			` : ''}
+			${template.parentId ? `
+				<div class="fontsize90p text_muted">
+					<i class="fa-solid fa-code-branch"></i> Inherits from ${promptTemplateManager.getTemplateChain(template.id).slice(0, -1).map(t => `<strong>${escapeHtml(t.name)}</strong>`).join(' › ')}.
+					Prompts marked <em>overridden</em> or <em>added</em> are stored in this template; all others follow the parent.
+				</div>
+			` : ''}
 
 			<ul id="ccpm-prompt-order-list" class="text_pole" style="list-style: none; padding: 0; margin: 0; max-height: 60vh; overflow-y: auto;">
 				<li class="ccpm_prompt_manager_list_head">
@@ -1922,6 +6216,20 @@ window.ccpmViewPrompts = async function(templateId) {
 						? `<span title="${escapeHtml(prompt.name || prompt.identifier)}">${escapeHtml(prompt.name || prompt.identifier)}</span>`
 						: `<a class="ccpm-expand-prompt" data-identifier="${escapeHtml(prompt.identifier)}">${escapeHtml(prompt.name || prompt.identifier)}</a>`;
 
+					// Child templates show where each prompt comes from
+					const inheritance = promptTemplateManager.getPromptInheritance(template, prompt.identifier);
+					const inheritanceBadge = inheritance && inheritance !== 'inherited'
+						? `<small class="ccpm-inheritance-badge" title="${inheritance === 'added' ? 'Only in this template' : 'Changed in this template'}">${inheritance}</small>
+							<span class="ccpm-revert-prompt fa-solid fa-rotate-left fa-xs" data-identifier="${escapeHtml(prompt.identifier)}" title="${inheritance === 'added' ? 'Remove prompt' : 'Revert to parent'}" style="margin-left: 4px; opacity: 0.4; cursor: pointer;"></span>`
+						: '';
+
+					// Conditions live on prompt order entries
+					const orderEntry = template.promptOrder?.find(e => e.identifier === prompt.identifier);
+					const conditions = normalizePromptConditions(orderEntry?.conditions);
+					const conditionsButton = orderEntry
+						? `<span class="ccpm-edit-conditions fa-solid fa-filter fa-xs" data-identifier="${escapeHtml(prompt.identifier)}" title="${escapeHtml(conditions ? describePromptConditions(conditions) : 'Set conditions')}" style="margin-left: 8px; opacity: ${conditions ? 1 : 0.4}; cursor: pointer;"></span>`
+						: '';
+
 					// Edit button only for non-markers
 					const editButton = !isMarker
 						? `<span class="ccpm-edit-prompt fa-solid fa-pencil fa-xs" data-identifier="${escapeHtml(prompt.identifier)}" title="Edit prompt" style="margin-left: 8px; opacity: 0.4; cursor: pointer;"></span>`
@@ -1938,6 +6246,8 @@ window.ccpmViewPrompts = async function(templateId) {
 								${isInjectionPrompt ? '<span class="fa-fw fa-solid fa-syringe" title="In-Chat Injection"></span>' : ''}
 								${nameDisplay}
 								${editButton}
+								${conditionsButton}
+								${inheritanceBadge}
 								${roleIcon ? `<span data-role="${escapeHtml(prompt.role)}" class="fa-xs fa-solid ${roleIcon}" title="${roleTitle}"></span>` : ''}
 								${isInjectionPrompt ? `<small class="prompt-manager-injection-depth">@ ${escapeHtml(prompt.injection_depth)}</small>` : ''}
 							</span>
@@ -1967,7 +6277,7 @@ ${escapeHtml(prompt.content || '(empty)')}
 				}).join('')}
 			</ul>
 			<div class="text_muted fontsize90p">
-				<i class="fa-solid fa-info-circle"></i> Drag prompts by the handle to reorder. Click prompt names to expand/collapse content.
+				<i class="fa-solid fa-info-circle"></i> Drag prompts by the handle to reorder. Click prompt names to expand/collapse content. Use <i class="fa-solid fa-filter fa-xs"></i> to enable a prompt only in some contexts.
 			</div>
 		</div>
 	`;
@@ -2002,6 +6312,31 @@ ${escapeHtml(prompt.content || '(empty)')}
 				});
 			});
 
+			// Setup click handlers for editing prompt conditions
+			document.querySelectorAll('.ccpm-edit-conditions').forEach(btn => {
+				btn.addEventListener('click', async (e) => {
+					e.preventDefault();
+					e.stopPropagation();
+					if (await showPromptConditionsDialog(templateId, btn.dataset.identifier)) {
+						await popup.completeCancelled();
+						await window.ccpmViewPrompts(templateId);
+					}
+				});
+			});
+
+			// Setup click handlers for reverting child template overrides
+			document.querySelectorAll('.ccpm-revert-prompt').forEach(btn => {
+				btn.addEventListener('click', async (e) => {
+					e.preventDefault();
+					e.stopPropagation();
+					if (promptTemplateManager.revertPromptOverride(templateId, btn.dataset.identifier)) {
+						toastr.success('Prompt now follows the parent template');
+						await popup.completeCancelled();
+						await window.ccpmViewPrompts(templateId);
+					}
+				});
+			});
+
 			// Setup click handlers for copying prompt identifiers
 			document.querySelectorAll('.ccpm-copy-identifier').forEach(btn => {
 				btn.addEventListener('click', async (e) => {
@@ -2032,6 +6367,15 @@ ${escapeHtml(prompt.content || '(empty)')}
 				});
 			});
 
+			if (options.expandIdentifier) {
+				const drawer = document.querySelector(`.ccpm_prompt_drawer[data-identifier="${CSS.escape(options.expandIdentifier)}"]`);
+				const drawerContent = drawer?.querySelector('.inline-drawer-content');
+				if (drawerContent) {
+					drawerContent.style.display = 'block';
+					drawer.scrollIntoView({ block: 'center' });
+				}
+			}
+
 			// Make the list sortable using jQuery UI
 			$('#ccpm-prompt-order-list').sortable({
 				delay: 30,
@@ -2048,9 +6392,10 @@ ${escapeHtml(prompt.content || '(empty)')}
 				const newOrder = [];
 				document.querySelectorAll('.ccpm_prompt_draggable').forEach(li => {
 					const identifier = li.dataset.identifier;
-					// Find the original entry in promptOrder to preserve enabled status
+					// Find the original entry in promptOrder to preserve enabled status and conditions
 					const originalEntry = template.promptOrder?.find(e => e.identifier === identifier);
 					newOrder.push({
+						...originalEntry,
 						identifier: identifier,
 						enabled: originalEntry?.enabled ?? true
 					});
@@ -2094,101 +6439,563 @@ window.ccpmEditPromptInTemplate = async function(templateId, promptIdentifier) {
 		return;
 	}
 
-	// Clone ST's form to use in our popup
-	const clonedForm = formContainer.cloneNode(true);
-	clonedForm.id = 'ccpm_temp_edit_form';
-	clonedForm.style.display = 'block';
+	// Clone ST's form to use in our popup
+	const clonedForm = formContainer.cloneNode(true);
+	clonedForm.id = 'ccpm_temp_edit_form';
+	clonedForm.style.display = 'block';
+
+	let savedData = null;
+
+	const editPopup = new Popup(clonedForm, POPUP_TYPE.CONFIRM, '', {
+		okButton: 'Save',
+		cancelButton: 'Cancel',
+		wide: true,
+		large: true,
+		allowVerticalScrolling: true,
+		onOpen: () => {
+			// Re-populate after clone (DOM elements are new)
+			const clonedNameField = clonedForm.querySelector('#completion_prompt_manager_popup_entry_form_name');
+			const clonedRoleField = clonedForm.querySelector('#completion_prompt_manager_popup_entry_form_role');
+			const clonedPromptField = clonedForm.querySelector('#completion_prompt_manager_popup_entry_form_prompt');
+			const clonedInjectionPositionField = clonedForm.querySelector('#completion_prompt_manager_popup_entry_form_injection_position');
+			const clonedInjectionDepthField = clonedForm.querySelector('#completion_prompt_manager_popup_entry_form_injection_depth');
+			const clonedInjectionOrderField = clonedForm.querySelector('#completion_prompt_manager_popup_entry_form_injection_order');
+			const clonedInjectionTriggerField = clonedForm.querySelector('#completion_prompt_manager_popup_entry_form_injection_trigger');
+			const clonedDepthBlock = clonedForm.querySelector('#completion_prompt_manager_depth_block');
+			const clonedOrderBlock = clonedForm.querySelector('#completion_prompt_manager_order_block');
+			const clonedForbidOverridesField = clonedForm.querySelector('#completion_prompt_manager_popup_entry_form_forbid_overrides');
+
+			if (clonedNameField) clonedNameField.value = prompt.name || '';
+			if (clonedRoleField) clonedRoleField.value = prompt.role || 'system';
+			if (clonedPromptField) clonedPromptField.value = prompt.content || '';
+			if (clonedInjectionPositionField) clonedInjectionPositionField.value = (prompt.injection_position ?? 0).toString();
+			if (clonedInjectionDepthField) clonedInjectionDepthField.value = (prompt.injection_depth ?? 4).toString();
+			if (clonedInjectionOrderField) clonedInjectionOrderField.value = (prompt.injection_order ?? 100).toString();
+
+			if (clonedInjectionTriggerField) {
+				Array.from(clonedInjectionTriggerField.options).forEach(option => {
+					option.selected = Array.isArray(prompt.injection_trigger) && prompt.injection_trigger.includes(option.value);
+				});
+			}
+
+			if (clonedDepthBlock && clonedOrderBlock) {
+				const showFields = clonedInjectionPositionField && clonedInjectionPositionField.value === '1';
+				clonedDepthBlock.style.visibility = showFields ? 'visible' : 'hidden';
+				clonedOrderBlock.style.visibility = showFields ? 'visible' : 'hidden';
+
+				// Add change listener for injection position
+				if (clonedInjectionPositionField) {
+					clonedInjectionPositionField.addEventListener('change', (e) => {
+						const showFields = e.target.value === '1';
+						clonedDepthBlock.style.visibility = showFields ? 'visible' : 'hidden';
+						clonedOrderBlock.style.visibility = showFields ? 'visible' : 'hidden';
+					});
+				}
+			}
+
+			if (clonedForbidOverridesField) clonedForbidOverridesField.checked = prompt.forbid_overrides ?? false;
+		},
+		onClosing: (popup) => {
+			if (popup.result === POPUP_RESULT.AFFIRMATIVE) {
+				// Capture form values
+				const clonedNameField = clonedForm.querySelector('#completion_prompt_manager_popup_entry_form_name');
+				const clonedRoleField = clonedForm.querySelector('#completion_prompt_manager_popup_entry_form_role');
+				const clonedPromptField = clonedForm.querySelector('#completion_prompt_manager_popup_entry_form_prompt');
+				const clonedInjectionPositionField = clonedForm.querySelector('#completion_prompt_manager_popup_entry_form_injection_position');
+				const clonedInjectionDepthField = clonedForm.querySelector('#completion_prompt_manager_popup_entry_form_injection_depth');
+				const clonedInjectionOrderField = clonedForm.querySelector('#completion_prompt_manager_popup_entry_form_injection_order');
+				const clonedInjectionTriggerField = clonedForm.querySelector('#completion_prompt_manager_popup_entry_form_injection_trigger');
+				const clonedForbidOverridesField = clonedForm.querySelector('#completion_prompt_manager_popup_entry_form_forbid_overrides');
+
+				savedData = {
+					name: clonedNameField?.value || prompt.name,
+					role: clonedRoleField?.value || prompt.role,
+					content: clonedPromptField?.value || prompt.content,
+					injection_position: clonedInjectionPositionField ? Number(clonedInjectionPositionField.value) : prompt.injection_position,
+					injection_depth: clonedInjectionDepthField ? Number(clonedInjectionDepthField.value) : prompt.injection_depth,
+					injection_order: clonedInjectionOrderField ? Number(clonedInjectionOrderField.value) : prompt.injection_order,
+					injection_trigger: clonedInjectionTriggerField ? Array.from(clonedInjectionTriggerField.selectedOptions).map(opt => opt.value) : prompt.injection_trigger,
+					forbid_overrides: clonedForbidOverridesField?.checked ?? prompt.forbid_overrides,
+				};
+			}
+			return true;
+		}
+	});
+
+	const result = await editPopup.show();
+
+	if (result && savedData) {
+		// Update the prompt in the template (records a new version)
+		promptTemplateManager.updateTemplate(templateId, {
+			prompts: {
+				...template.prompts,
+				[promptIdentifier]: { ...prompt, ...savedData },
+			},
+		});
+		toastr.success('Prompt updated in template');
+
+		// Refresh the viewer
+		await window.ccpmViewPrompts(templateId);
+	}
+};
+
+/**
+ * Render a read-only list of prompts in template order
+ * @param {Object} prompts - Prompts keyed by identifier
+ * @param {Array} promptOrder - Prompt order entries
+ * @returns {string} HTML
+ */
+function renderReadOnlyPromptList(prompts, promptOrder) {
+	const orderedIdentifiers = promptOrder?.length > 0
+		? promptOrder.map(entry => entry.identifier)
+		: Object.keys(prompts);
+	const enabledMap = new Map((promptOrder || []).map(entry => [entry.identifier, entry.enabled]));
+
+	return orderedIdentifiers
+		.filter(identifier => prompts[identifier])
+		.map(identifier => {
+			const prompt = prompts[identifier];
+			const isDisabled = enabledMap.get(identifier) === false;
+			return `
+				<div class="text_pole padding10 marginBot5" style="${isDisabled ? 'opacity: 0.6;' : ''}">
+					<div class="flex-container spaceBetween">
+						<strong>${prompt.marker ? '<span class="fa-fw fa-solid fa-thumb-tack" title="Marker"></span>' : ''}${escapeHtml(prompt.name || identifier)}</strong>
+						<small class="text_muted">${escapeHtml(prompt.role || 'system')}${isDisabled ? ' · disabled' : ''}</small>
+					</div>
+					${!prompt.marker ? `<div class="fontsize90p marginTop10" style="white-space: pre-wrap; font-family: monospace; max-height: 200px; overflow-y: auto;">${escapeHtml(prompt.content || '(empty)')}</div>` : ''}
+				</div>
+			`;
+		}).join('');
+}
+
+/**
+ * Show the version history of a template with preview and restore actions
+ */
+window.ccpmShowTemplateHistory = async function(templateId) {
+	const template = promptTemplateManager.getTemplate(templateId);
+	if (!template) {
+		toastr.error('Template not found');
+		return;
+	}
+
+	// Newest first; each version is described by what changed since the one before it
+	const versions = [...template.history, template.createSnapshot()].reverse();
+	const rows = versions.map((entry, index) => {
+		const previous = versions[index + 1];
+		const isCurrent = index === 0;
+		const changes = previous ? summarizeTemplateChanges(previous, entry) : ['Initial version'];
+		return `
+			<div class="text_pole padding10 marginBot10" style="${isCurrent ? 'border-left: 4px solid var(--SmartThemeQuoteColor);' : ''}">
+				<div class="flex-container spaceBetween alignItemsCenter">
+					<div class="flexGrow">
+						<strong>v${entry.version}</strong> ${isCurrent ? '<span class="fontsize80p toggleEnabled">Current</span>' : ''}
+						<small class="text_muted">${escapeHtml(new Date(entry.savedAt).toLocaleString())}</small>
+						<ul class="fontsize90p text_muted" style="margin: 5px 0 0 0;">
+							${changes.map(change => `<li>${escapeHtml(change)}</li>`).join('')}
+						</ul>
+					</div>
+					${!isCurrent ? `
+						<div class="flex-container flexGap2">
+							<div class="menu_button menu_button_icon interactable" onclick="window.ccpmPreviewTemplateVersion('${template.id}', ${entry.version})" title="Preview Version" style="width: 32px; height: 32px; padding: 0;">
+								<i class="fa-solid fa-eye"></i>
+							</div>
+							<div class="menu_button menu_button_icon interactable" onclick="window.ccpmRestoreTemplateVersion('${template.id}', ${entry.version})" title="Restore Version" style="width: 32px; height: 32px; padding: 0;">
+								<i class="fa-solid fa-rotate-left"></i>
+							</div>
+						</div>
+					` : ''}
+				</div>
+			</div>
+		`;
+	}).join('');
+
+	const content = document.createElement('div');
+	content.innerHTML = `
+		<div class="flex-container flexFlowColumn flexGap10">
+			<h4>Version History: ${escapeHtml(template.name)}</h4>
+			<p class="text_muted fontsize90p">The last ${MAX_TEMPLATE_HISTORY} versions are kept. Restoring a version saves it as a new version.</p>
+			<div class="flex-container flexFlowColumn overflowYAuto" style="max-height: 60vh;">
+				${rows}
+			</div>
+		</div>
+	`;
+
+	ccpmHistoryPopup = new Popup(content, POPUP_TYPE.TEXT, '', {
+		okButton: false,
+		cancelButton: 'Close',
+		wide: true,
+		allowVerticalScrolling: true,
+		onClosing: () => {
+			ccpmHistoryPopup = null;
+			return true;
+		},
+	});
+	await ccpmHistoryPopup.show();
+};
+
+// Store reference to the open version history popup
+let ccpmHistoryPopup = null;
+
+window.ccpmPreviewTemplateVersion = async function(templateId, version) {
+	const template = promptTemplateManager.getTemplate(templateId);
+	const snapshot = template?.getVersion(version);
+	if (!snapshot) {
+		toastr.error('Template version not found');
+		return;
+	}
+
+	const content = document.createElement('div');
+	content.innerHTML = `
+		<div class="flex-container flexFlowColumn flexGap10">
+			<h4>${escapeHtml(snapshot.name)} <small class="text_muted">v${snapshot.version} · ${escapeHtml(new Date(snapshot.savedAt).toLocaleString())}</small></h4>
+			${snapshot.description ? `<div class="text_muted">${escapeHtml(snapshot.description)}</div>` : ''}
+			<div class="flex-container flexFlowColumn overflowYAuto" style="max-height: 60vh;">
+				${renderReadOnlyPromptList(snapshot.prompts, snapshot.promptOrder)}
+			</div>
+		</div>
+	`;
+
+	const popup = new Popup(content, POPUP_TYPE.CONFIRM, '', {
+		okButton: 'Restore This Version',
+		cancelButton: 'Close',
+		wide: true,
+		large: true,
+		allowVerticalScrolling: true
+	});
+
+	const result = await popup.show();
+	if (result === POPUP_RESULT.AFFIRMATIVE) {
+		await window.ccpmRestoreTemplateVersion(templateId, version);
+	}
+};
+
+window.ccpmRestoreTemplateVersion = async function(templateId, version) {
+	const template = promptTemplateManager.getTemplate(templateId);
+	if (!template?.getVersion(version)) {
+		toastr.error('Template version not found');
+		return;
+	}
+
+	const popup = new Popup(`
+		<div class="flex-container flexFlowColumn flexGap10">
+			<p>Restore "<strong>${escapeHtml(template.name)}</strong>" to version ${version}?</p>
+			<p class="text_muted fontsize90p">The current version stays in the history.</p>
+		</div>
+	`, POPUP_TYPE.CONFIRM, '', {
+		okButton: 'Restore',
+		cancelButton: 'Cancel',
+		allowVerticalScrolling: true
+	});
+
+	const result = await popup.show();
+	if (result !== POPUP_RESULT.AFFIRMATIVE) return;
+
+	if (promptTemplateManager.restoreTemplateVersion(templateId, version)) {
+		toastr.success(`Restored version ${version} as v${template.version}`);
+		await renderPromptTemplateList();
+		if (ccpmHistoryPopup) {
+			await ccpmHistoryPopup.completeCancelled();
+			await window.ccpmShowTemplateHistory(templateId);
+		}
+	} else {
+		toastr.error('Failed to restore template version');
+	}
+};
+
+/**
+ * Apply mode and prompt order selects shared by the apply confirmation and the lock menu
+ * @param {string} idPrefix - Prefix for the select element ids
+ * @param {Object} [options] - Preselected applyMode and orderMergeMode
+ * @returns {string} HTML
+ */
+function getApplyOptionsHtml(idPrefix, options = {}) {
+	const { applyMode, orderMergeMode } = resolveApplyOptions(options);
+	return `
+		<div class="flex-container flexGap10">
+			<label class="flex1 flex-container flexFlowColumn">
+				<small>Apply mode</small>
+				<select id="${idPrefix}-apply-mode" class="text_pole">
+					<option value="${APPLY_MODES.REPLACE}" ${applyMode === APPLY_MODES.REPLACE ? 'selected' : ''}>Replace all prompts</option>
+					<option value="${APPLY_MODES.MERGE}" ${applyMode === APPLY_MODES.MERGE ? 'selected' : ''}>Merge - only this template's prompts</option>
+				</select>
+			</label>
+			<label class="flex1 flex-container flexFlowColumn">
+				<small>Prompt order</small>
+				<select id="${idPrefix}-order-mode" class="text_pole">
+					<option value="${ORDER_MERGE_MODES.REPLACE}" ${orderMergeMode === ORDER_MERGE_MODES.REPLACE ? 'selected' : ''}>Replace with template order</option>
+					<option value="${ORDER_MERGE_MODES.KEEP}" ${orderMergeMode === ORDER_MERGE_MODES.KEEP ? 'selected' : ''}>Keep current order</option>
+					<option value="${ORDER_MERGE_MODES.MARKERS}" ${orderMergeMode === ORDER_MERGE_MODES.MARKERS ? 'selected' : ''}>Insert relative to markers</option>
+				</select>
+			</label>
+		</div>
+	`;
+}
+
+/**
+ * Read the selects rendered by getApplyOptionsHtml
+ * @param {ParentNode} container
+ * @param {string} idPrefix
+ * @returns {{applyMode: string, orderMergeMode: string}|null}
+ */
+function readApplyOptions(container, idPrefix) {
+	const applyModeSelect = container.querySelector(`#${idPrefix}-apply-mode`);
+	const orderModeSelect = container.querySelector(`#${idPrefix}-order-mode`);
+	if (!applyModeSelect || !orderModeSelect) return null;
+	return { applyMode: applyModeSelect.value, orderMergeMode: orderModeSelect.value };
+}
+
+/**
+ * Switch the prompt order select to the usual default when the apply mode changes
+ * @param {ParentNode} container
+ * @param {string} idPrefix
+ */
+function bindApplyOptionDefaults(container, idPrefix) {
+	container.querySelector(`#${idPrefix}-apply-mode`)?.addEventListener('change', (e) => {
+		const orderModeSelect = container.querySelector(`#${idPrefix}-order-mode`);
+		if (orderModeSelect) {
+			orderModeSelect.value = e.target.value === APPLY_MODES.MERGE ? ORDER_MERGE_MODES.MARKERS : ORDER_MERGE_MODES.REPLACE;
+		}
+	});
+}
+
+/**
+ * Render inputs for a template's parameters
+ * @param {string} idPrefix - Prefix for element ids
+ * @param {Array} parameters - Parameter definitions
+ * @param {Object} [values] - Preselected values keyed by parameter name
+ * @returns {string} HTML, empty when the template has no parameters
+ */
+function getParameterInputsHtml(idPrefix, parameters, values = {}) {
+	if (parameters.length === 0) return '';
+	const resolved = resolveParameterValues(parameters, values);
+	return `
+		<div class="flex-container flexFlowColumn flexGap5">
+			<small class="text_muted">Template parameters:</small>
+			${parameters.map(p => {
+				const id = `${idPrefix}-param-${p.name}`;
+				const value = resolved[p.name];
+				let input;
+				if (p.type === 'boolean') {
+					input = `<input type="checkbox" id="${id}" class="${idPrefix}-param" data-name="${escapeHtml(p.name)}" ${value ? 'checked' : ''}>`;
+				} else if (p.type === 'choice') {
+					input = `<select id="${id}" class="text_pole ${idPrefix}-param" data-name="${escapeHtml(p.name)}">
+						${p.choices.map(choice => `<option value="${escapeHtml(choice)}" ${choice === value ? 'selected' : ''}>${escapeHtml(choice)}</option>`).join('')}
+					</select>`;
+				} else {
+					input = `<input type="${p.type === 'number' ? 'number' : 'text'}" id="${id}" class="text_pole ${idPrefix}-param" data-name="${escapeHtml(p.name)}" value="${escapeHtml(String(value))}">`;
+				}
+				return `
+					<label class="flex-container alignItemsCenter flexGap10" for="${id}">
+						<span class="flex1"><code>${escapeHtml(p.name)}</code></span>
+						<span class="flex1">${input}</span>
+					</label>
+				`;
+			}).join('')}
+		</div>
+	`;
+}
+
+/**
+ * Read the inputs rendered by getParameterInputsHtml
+ * @param {ParentNode} container
+ * @param {string} idPrefix
+ * @param {Array} parameters - Parameter definitions
+ * @returns {Object} Values keyed by parameter name
+ */
+function readParameterValues(container, idPrefix, parameters) {
+	const values = {};
+	container.querySelectorAll(`.${idPrefix}-param`).forEach(input => {
+		values[input.dataset.name] = input.type === 'checkbox' ? input.checked : input.value;
+	});
+	return resolveParameterValues(parameters, values);
+}
+
+/**
+ * Link that opens the diff between a template and the live prompts
+ * @param {string} templateId
+ * @returns {string} HTML
+ */
+function getCompareLinkHtml(templateId) {
+	return `<a class="fontsize90p" style="cursor: pointer;" onclick="window.ccpmCompareTemplates('${escapeHtml(templateId)}', '${LIVE_PROMPTS_ID}')"><i class="fa-solid fa-code-compare"></i> Show what would change</a>`;
+}
+
+/**
+ * Render line diff, collapsing long unchanged runs
+ * @param {Array} lines - Output of diffLines
+ * @returns {string} HTML
+ */
+function renderLineDiff(lines) {
+	const CONTEXT = 2;
+	const visible = lines.map(() => false);
+	lines.forEach((line, index) => {
+		if (line.type === 'same') return;
+		for (let i = Math.max(0, index - CONTEXT); i <= Math.min(lines.length - 1, index + CONTEXT); i++) {
+			visible[i] = true;
+		}
+	});
+
+	const markers = { same: ' ', added: '+', removed: '-' };
+	let html = '';
+	let skipped = 0;
+	lines.forEach((line, index) => {
+		if (!visible[index]) {
+			skipped++;
+			return;
+		}
+		if (skipped > 0) {
+			html += `<div class="ccpm-diff-line ccpm-diff-skipped">… ${skipped} unchanged line(s)</div>`;
+			skipped = 0;
+		}
+		html += `<div class="ccpm-diff-line ccpm-diff-${line.type}">${markers[line.type]} ${escapeHtml(line.text)}</div>`;
+	});
+	if (skipped > 0) {
+		html += `<div class="ccpm-diff-line ccpm-diff-skipped">… ${skipped} unchanged line(s)</div>`;
+	}
+	return `<div class="ccpm-diff-lines">${html}</div>`;
+}
+
+/**
+ * Render the differences between two template states
+ * @param {Object} left
+ * @param {Object} right
+ * @returns {string} HTML
+ */
+function renderTemplateDiff(left, right) {
+	const diff = diffTemplates(left, right);
+	const promptName = (identifier) => escapeHtml(right.prompts?.[identifier]?.name || left.prompts?.[identifier]?.name || identifier);
+	const formatValue = (value) => escapeHtml(value === undefined ? '(unset)' : JSON.stringify(value));
+	const { order } = diff;
+	const hasOrderChanges = order.reordered || order.addedToOrder.length > 0 || order.removedFromOrder.length > 0 || order.enabledChanges.length > 0;
+
+	if (diff.added.length === 0 && diff.removed.length === 0 && diff.changed.length === 0 && !hasOrderChanges) {
+		return '<div class="text_pole textAlignCenter"><i class="fa-solid fa-check"></i> No differences</div>';
+	}
+
+	const renderOrderColumn = (entries, otherIds, missingClass) => entries.map((entry, index) => `
+		<div class="ccpm-diff-order-entry ${otherIds.includes(entry.identifier) ? '' : missingClass}" style="${entry.enabled === false ? 'opacity: 0.5; text-decoration: line-through;' : ''}">
+			${index + 1}. ${promptName(entry.identifier)}
+		</div>
+	`).join('');
+
+	return `
+		<div class="flex-container flexFlowColumn flexGap10">
+			<div class="text_muted fontsize90p">
+				${diff.added.length} added · ${diff.removed.length} removed · ${diff.changed.length} changed${hasOrderChanges ? ' · prompt order differs' : ''}
+			</div>
+
+			${diff.added.length > 0 ? `
+				<div>
+					<strong>Only in "${escapeHtml(right.name)}":</strong>
+					<div class="ccpm-diff-added">${diff.added.map(promptName).join(', ')}</div>
+				</div>
+			` : ''}
+
+			${diff.removed.length > 0 ? `
+				<div>
+					<strong>Only in "${escapeHtml(left.name)}":</strong>
+					<div class="ccpm-diff-removed">${diff.removed.map(promptName).join(', ')}</div>
+				</div>
+			` : ''}
+
+			${diff.changed.map(change => `
+				<div class="text_pole padding10">
+					<strong>${escapeHtml(change.name)}</strong> <small class="text_muted">${escapeHtml(change.identifier)}</small>
+					${change.fieldChanges.length > 0 ? `
+						<table class="fontsize90p marginTop10">
+							${change.fieldChanges.map(f => `
+								<tr>
+									<td><code>${escapeHtml(f.field)}</code></td>
+									<td class="ccpm-diff-removed">${formatValue(f.from)}</td>
+									<td>→</td>
+									<td class="ccpm-diff-added">${formatValue(f.to)}</td>
+								</tr>
+							`).join('')}
+						</table>
+					` : ''}
+					${change.contentDiff ? renderLineDiff(change.contentDiff) : ''}
+				</div>
+			`).join('')}
+
+			${hasOrderChanges ? `
+				<div class="text_pole padding10">
+					<strong>Prompt Order</strong>
+					${order.enabledChanges.length > 0 ? `
+						<ul class="fontsize90p" style="margin: 5px 0;">
+							${order.enabledChanges.map(c => `<li>${promptName(c.identifier)}: ${c.from ? 'enabled' : 'disabled'} → ${c.to ? 'enabled' : 'disabled'}</li>`).join('')}
+						</ul>
+					` : ''}
+					<div class="flex-container flexGap10 fontsize90p marginTop10">
+						<div class="flex1">
+							<div class="text_muted">${escapeHtml(left.name)}</div>
+							${renderOrderColumn(order.leftOrder, order.rightOrder.map(e => e.identifier), 'ccpm-diff-removed')}
+						</div>
+						<div class="flex1">
+							<div class="text_muted">${escapeHtml(right.name)}</div>
+							${renderOrderColumn(order.rightOrder, order.leftOrder.map(e => e.identifier), 'ccpm-diff-added')}
+						</div>
+					</div>
+				</div>
+			` : ''}
+		</div>
+	`;
+}
+
+/**
+ * Compare two templates, or a template and the live prompts
+ * @param {string} leftId - Template id or LIVE_PROMPTS_ID
+ * @param {string} [rightId] - Template id or LIVE_PROMPTS_ID
+ */
+window.ccpmCompareTemplates = async function(leftId, rightId = LIVE_PROMPTS_ID) {
+	const templates = promptTemplateManager.listTemplates();
+	const renderOptions = (selectedId) => [
+		`<option value="${LIVE_PROMPTS_ID}" ${selectedId === LIVE_PROMPTS_ID ? 'selected' : ''}>Live prompts</option>`,
+		...templates.map(t => `<option value="${escapeHtml(t.id)}" ${selectedId === t.id ? 'selected' : ''}>${escapeHtml(t.name)}</option>`),
+	].join('');
+
+	const content = document.createElement('div');
+	content.innerHTML = `
+		<div class="flex-container flexFlowColumn flexGap10">
+			<h4>Compare Templates</h4>
+			<div class="flex-container alignItemsCenter flexGap10">
+				<select id="ccpm-compare-left" class="text_pole flex1">${renderOptions(leftId)}</select>
+				<div id="ccpm-compare-swap" class="menu_button menu_button_icon interactable" title="Swap">
+					<i class="fa-solid fa-right-left"></i>
+				</div>
+				<select id="ccpm-compare-right" class="text_pole flex1">${renderOptions(rightId)}</select>
+			</div>
+			<div id="ccpm-compare-result" class="overflowYAuto" style="max-height: 60vh;"></div>
+		</div>
+	`;
+
+	const leftSelect = content.querySelector('#ccpm-compare-left');
+	const rightSelect = content.querySelector('#ccpm-compare-right');
+	const resultDiv = content.querySelector('#ccpm-compare-result');
 
-	let savedData = null;
+	const update = () => {
+		const left = promptTemplateManager.getComparableState(leftSelect.value);
+		const right = promptTemplateManager.getComparableState(rightSelect.value);
+		resultDiv.innerHTML = left && right
+			? renderTemplateDiff(left, right)
+			: '<div class="text_pole text_danger">Template not found</div>';
+	};
 
-	const editPopup = new Popup(clonedForm, POPUP_TYPE.CONFIRM, '', {
-		okButton: 'Save',
-		cancelButton: 'Cancel',
+	const popup = new Popup(content, POPUP_TYPE.TEXT, '', {
+		okButton: false,
+		cancelButton: 'Close',
 		wide: true,
 		large: true,
 		allowVerticalScrolling: true,
 		onOpen: () => {
-			// Re-populate after clone (DOM elements are new)
-			const clonedNameField = clonedForm.querySelector('#completion_prompt_manager_popup_entry_form_name');
-			const clonedRoleField = clonedForm.querySelector('#completion_prompt_manager_popup_entry_form_role');
-			const clonedPromptField = clonedForm.querySelector('#completion_prompt_manager_popup_entry_form_prompt');
-			const clonedInjectionPositionField = clonedForm.querySelector('#completion_prompt_manager_popup_entry_form_injection_position');
-			const clonedInjectionDepthField = clonedForm.querySelector('#completion_prompt_manager_popup_entry_form_injection_depth');
-			const clonedInjectionOrderField = clonedForm.querySelector('#completion_prompt_manager_popup_entry_form_injection_order');
-			const clonedInjectionTriggerField = clonedForm.querySelector('#completion_prompt_manager_popup_entry_form_injection_trigger');
-			const clonedDepthBlock = clonedForm.querySelector('#completion_prompt_manager_depth_block');
-			const clonedOrderBlock = clonedForm.querySelector('#completion_prompt_manager_order_block');
-			const clonedForbidOverridesField = clonedForm.querySelector('#completion_prompt_manager_popup_entry_form_forbid_overrides');
-
-			if (clonedNameField) clonedNameField.value = prompt.name || '';
-			if (clonedRoleField) clonedRoleField.value = prompt.role || 'system';
-			if (clonedPromptField) clonedPromptField.value = prompt.content || '';
-			if (clonedInjectionPositionField) clonedInjectionPositionField.value = (prompt.injection_position ?? 0).toString();
-			if (clonedInjectionDepthField) clonedInjectionDepthField.value = (prompt.injection_depth ?? 4).toString();
-			if (clonedInjectionOrderField) clonedInjectionOrderField.value = (prompt.injection_order ?? 100).toString();
-
-			if (clonedInjectionTriggerField) {
-				Array.from(clonedInjectionTriggerField.options).forEach(option => {
-					option.selected = Array.isArray(prompt.injection_trigger) && prompt.injection_trigger.includes(option.value);
-				});
-			}
-
-			if (clonedDepthBlock && clonedOrderBlock) {
-				const showFields = clonedInjectionPositionField && clonedInjectionPositionField.value === '1';
-				clonedDepthBlock.style.visibility = showFields ? 'visible' : 'hidden';
-				clonedOrderBlock.style.visibility = showFields ? 'visible' : 'hidden';
-
-				// Add change listener for injection position
-				if (clonedInjectionPositionField) {
-					clonedInjectionPositionField.addEventListener('change', (e) => {
-						const showFields = e.target.value === '1';
-						clonedDepthBlock.style.visibility = showFields ? 'visible' : 'hidden';
-						clonedOrderBlock.style.visibility = showFields ? 'visible' : 'hidden';
-					});
-				}
-			}
-
-			if (clonedForbidOverridesField) clonedForbidOverridesField.checked = prompt.forbid_overrides ?? false;
+			leftSelect.addEventListener('change', update);
+			rightSelect.addEventListener('change', update);
+			content.querySelector('#ccpm-compare-swap').addEventListener('click', () => {
+				[leftSelect.value, rightSelect.value] = [rightSelect.value, leftSelect.value];
+				update();
+			});
+			update();
 		},
-		onClosing: (popup) => {
-			if (popup.result === POPUP_RESULT.AFFIRMATIVE) {
-				// Capture form values
-				const clonedNameField = clonedForm.querySelector('#completion_prompt_manager_popup_entry_form_name');
-				const clonedRoleField = clonedForm.querySelector('#completion_prompt_manager_popup_entry_form_role');
-				const clonedPromptField = clonedForm.querySelector('#completion_prompt_manager_popup_entry_form_prompt');
-				const clonedInjectionPositionField = clonedForm.querySelector('#completion_prompt_manager_popup_entry_form_injection_position');
-				const clonedInjectionDepthField = clonedForm.querySelector('#completion_prompt_manager_popup_entry_form_injection_depth');
-				const clonedInjectionOrderField = clonedForm.querySelector('#completion_prompt_manager_popup_entry_form_injection_order');
-				const clonedInjectionTriggerField = clonedForm.querySelector('#completion_prompt_manager_popup_entry_form_injection_trigger');
-				const clonedForbidOverridesField = clonedForm.querySelector('#completion_prompt_manager_popup_entry_form_forbid_overrides');
-
-				savedData = {
-					name: clonedNameField?.value || prompt.name,
-					role: clonedRoleField?.value || prompt.role,
-					content: clonedPromptField?.value || prompt.content,
-					injection_position: clonedInjectionPositionField ? Number(clonedInjectionPositionField.value) : prompt.injection_position,
-					injection_depth: clonedInjectionDepthField ? Number(clonedInjectionDepthField.value) : prompt.injection_depth,
-					injection_order: clonedInjectionOrderField ? Number(clonedInjectionOrderField.value) : prompt.injection_order,
-					injection_trigger: clonedInjectionTriggerField ? Array.from(clonedInjectionTriggerField.selectedOptions).map(opt => opt.value) : prompt.injection_trigger,
-					forbid_overrides: clonedForbidOverridesField?.checked ?? prompt.forbid_overrides,
-				};
-			}
-			return true;
-		}
 	});
-
-	const result = await editPopup.show();
-
-	if (result && savedData) {
-		// Update the prompt in the template
-		Object.assign(template.prompts[promptIdentifier], savedData);
-		template.updatedAt = new Date().toISOString();
-		promptTemplateManager.saveSettings();
-		toastr.success('Prompt updated in template');
-
-		// Refresh the viewer
-		await window.ccpmViewPrompts(templateId);
-	}
+	await popup.show();
 };
 
 async function showCreateTemplateDialog() {
@@ -2303,6 +7110,11 @@ async function showCreateTemplateDialog() {
 }
 
 async function showEditTemplateDialog(template) {
+	const existingFolders = promptTemplateManager.listFolders();
+	const existingTags = promptTemplateManager.listTags();
+	// A template can't inherit from itself or from its own descendants
+	const parentCandidates = promptTemplateManager.listTemplates()
+		.filter(t => !promptTemplateManager.getTemplateChain(t.id).some(ancestor => ancestor.id === template.id));
 	const content = document.createElement('div');
 	content.innerHTML = `
 		<div class="flex-container flexFlowColumn flexGap10">
@@ -2314,6 +7126,35 @@ async function showEditTemplateDialog(template) {
 				<label for="ccpm-edit-desc"><strong>Description:</strong></label>
 				<textarea id="ccpm-edit-desc" class="text_pole" style="min-height: 80px; resize: vertical;">${escapeHtml(template.description || '')}</textarea>
 			</div>
+			<div class="flex-container flexFlowColumn">
+				<label for="ccpm-edit-parent"><strong>Based on:</strong></label>
+				<select id="ccpm-edit-parent" class="text_pole">
+					<option value="">None (standalone template)</option>
+					${parentCandidates.map(t => `<option value="${escapeHtml(t.id)}" ${t.id === template.parentId ? 'selected' : ''}>${escapeHtml(t.name)}</option>`).join('')}
+				</select>
+				<small class="text_muted">The prompts stay as they are; only the differences from the selected template are stored.</small>
+			</div>
+			<div class="flex-container flexFlowColumn">
+				<label for="ccpm-edit-parameters"><strong>Parameters (one per line):</strong></label>
+				<textarea id="ccpm-edit-parameters" class="text_pole monospace" style="min-height: 60px; resize: vertical;" placeholder="style: choice(terse|florid) = terse&#10;length: number = 300&#10;pov: text = third person">${escapeHtml(formatParameterDefinitions(template.parameters))}</textarea>
+				<small class="text_muted">Types: text, number, boolean, choice(a|b). Use <code>{{param:name}}</code> in prompt contents; values are asked for when applying and can be stored on locks.</small>
+			</div>
+			<div class="flex-container flexFlowColumn">
+				<label for="ccpm-edit-folder"><strong>Folder (optional):</strong></label>
+				<input type="text" id="ccpm-edit-folder" class="text_pole" list="ccpm-edit-folder-list" value="${escapeHtml(template.folder || '')}" placeholder="No folder">
+				<datalist id="ccpm-edit-folder-list">
+					${existingFolders.map(folder => `<option value="${escapeHtml(folder)}"></option>`).join('')}
+				</datalist>
+			</div>
+			<div class="flex-container flexFlowColumn">
+				<label for="ccpm-edit-tags"><strong>Tags (comma-separated):</strong></label>
+				<input type="text" id="ccpm-edit-tags" class="text_pole" value="${escapeHtml(template.tags.join(', '))}" placeholder="e.g. roleplay, short">
+				${existingTags.length > 0 ? `
+					<div class="flex-container flexGap5 flexWrap marginTop10">
+						${existingTags.map(tag => `<span class="ccpm-tag-chip ccpm-add-tag interactable" data-tag="${escapeHtml(tag)}" title="Add tag">${escapeHtml(tag)}</span>`).join('')}
+					</div>
+				` : ''}
+			</div>
 		</div>
 	`;
 
@@ -2323,17 +7164,37 @@ async function showEditTemplateDialog(template) {
 		okButton: 'Save',
 		cancelButton: 'Cancel',
 		allowVerticalScrolling: true,
+		onOpen: () => {
+			// Clicking an existing tag appends it to the tags field
+			content.querySelectorAll('.ccpm-add-tag').forEach(chip => {
+				chip.addEventListener('click', () => {
+					const tagsInput = document.getElementById('ccpm-edit-tags');
+					const tags = PromptTemplate.normalizeTags(tagsInput.value);
+					if (!tags.includes(chip.dataset.tag)) {
+						tagsInput.value = [...tags, chip.dataset.tag].join(', ');
+					}
+				});
+			});
+		},
 		onClosing: (popup) => {
 			if (popup.result === POPUP_RESULT.AFFIRMATIVE) {
 				const name = document.getElementById('ccpm-edit-name')?.value.trim();
 				const description = document.getElementById('ccpm-edit-desc')?.value.trim();
+				const folder = document.getElementById('ccpm-edit-folder')?.value;
+				const tags = document.getElementById('ccpm-edit-tags')?.value;
+				const parentId = document.getElementById('ccpm-edit-parent')?.value || null;
+				const { parameters, errors } = parseParameterDefinitions(document.getElementById('ccpm-edit-parameters')?.value || '');
 
 				if (!name) {
 					toastr.error('Template name is required');
 					return false;
 				}
+				if (errors.length > 0) {
+					toastr.error(errors.map(escapeHtml).join('<br>'), 'Invalid parameters', { escapeHtml: false });
+					return false;
+				}
 
-				capturedData = { name, description };
+				capturedData = { name, description, folder, tags, parentId, parameters };
 			}
 			return true;
 		}
@@ -2343,7 +7204,11 @@ async function showEditTemplateDialog(template) {
 	if (!result || !capturedData) return;
 
 	try {
-		promptTemplateManager.updateTemplate(template.id, capturedData);
+		const { parentId, ...fields } = capturedData;
+		promptTemplateManager.updateTemplate(template.id, fields);
+		if (parentId !== template.parentId) {
+			promptTemplateManager.setTemplateParent(template.id, parentId);
+		}
 		toastr.success('Template updated successfully');
 		await renderPromptTemplateList();
 	} catch (error) {
@@ -2364,22 +7229,19 @@ async function showImportTemplateDialog() {
 			const file = fileInput.files[0];
 			const text = await file.text();
 			const templates = JSON.parse(text);
-			const templatesArray = Array.isArray(templates) ? templates : [templates];
-
-			const result = promptTemplateManager.importTemplates(templatesArray);
 
-			if (result.imported > 0) {
-				toastr.success(`Imported ${result.imported} template(s) successfully`);
-				await renderPromptTemplateList();
+			if (isChatCompletionPreset(templates)) {
+				await showImportPresetDialog(templates, file.name);
+				return;
 			}
 
-			if (result.skipped > 0) {
-				toastr.warning(`Skipped ${result.skipped} invalid template(s)`);
-			}
-
-			if (result.imported === 0 && result.skipped === 0) {
+			const templatesArray = Array.isArray(templates) ? templates : [templates];
+			if (templatesArray.length === 0) {
 				toastr.error('No valid templates found in file');
+				return;
 			}
+
+			await showImportPreviewDialog(templatesArray);
 		} catch (error) {
 			toastr.error('Failed to import template: ' + error.message);
 		}
@@ -2389,31 +7251,489 @@ async function showImportTemplateDialog() {
 	fileInput.click();
 }
 
-function exportAllTemplates() {
-	const templates = promptTemplateManager.exportTemplates();
-	if (templates.length === 0) {
-		toastr.warning('No templates to export');
+/**
+ * Show incoming templates with their validation results and collisions, and let the user
+ * choose per template whether to skip, overwrite, keep both or merge before importing
+ * @param {Array<Object>} templatesArray - Template data from an import file
+ */
+async function showImportPreviewDialog(templatesArray) {
+	const entries = promptTemplateManager.previewImport(templatesArray);
+
+	const actionLabels = {
+		[IMPORT_ACTIONS.SKIP]: 'Skip',
+		[IMPORT_ACTIONS.OVERWRITE]: 'Overwrite existing',
+		[IMPORT_ACTIONS.KEEP_BOTH]: 'Keep both',
+		[IMPORT_ACTIONS.MERGE]: 'Merge into existing',
+	};
+
+	const renderEntry = (entry) => {
+		const { data, errors, warnings, nameMatch, contentMatch } = entry;
+		const hasCollision = !!(nameMatch || contentMatch);
+		const actions = errors.length > 0
+			? [IMPORT_ACTIONS.SKIP]
+			: hasCollision
+				? [IMPORT_ACTIONS.SKIP, IMPORT_ACTIONS.OVERWRITE, IMPORT_ACTIONS.KEEP_BOTH, IMPORT_ACTIONS.MERGE]
+				: [IMPORT_ACTIONS.KEEP_BOTH, IMPORT_ACTIONS.SKIP];
+		const label = (action) => !hasCollision && action === IMPORT_ACTIONS.KEEP_BOTH ? 'Import' : actionLabels[action];
+		const promptCount = data?.prompts && typeof data.prompts === 'object' ? Object.keys(data.prompts).length : 0;
+
+		return `
+			<div class="text_pole padding10 marginBot10" style="${errors.length > 0 ? 'border-left: 4px solid var(--fullred, red);' : hasCollision ? 'border-left: 4px solid var(--SmartThemeQuoteColor);' : ''}">
+				<div class="flex-container spaceBetween alignItemsCenter">
+					<div class="flexGrow">
+						<strong>${escapeHtml(typeof data?.name === 'string' && data.name ? data.name : `Template #${entry.index + 1}`)}</strong>
+						<small class="text_muted">(${promptCount} prompt${promptCount === 1 ? '' : 's'})</small>
+					</div>
+					<select class="text_pole ccpm-import-action" data-index="${entry.index}" style="width: auto;" ${actions.length === 1 ? 'disabled' : ''}>
+						${actions.map(action => `<option value="${action}" ${action === entry.action ? 'selected' : ''}>${label(action)}</option>`).join('')}
+					</select>
+				</div>
+				${errors.map(error => `<div class="fontsize90p text_danger">❌ ${escapeHtml(error)}</div>`).join('')}
+				${warnings.map(warning => `<div class="fontsize90p text_muted">⚠️ ${escapeHtml(warning)}</div>`).join('')}
+				${contentMatch ? `<div class="fontsize90p">🟰 Same prompts as existing template "${escapeHtml(contentMatch.name)}"</div>` : ''}
+				${nameMatch && nameMatch !== contentMatch ? `<div class="fontsize90p">🔤 Same name as existing template "${escapeHtml(nameMatch.name)}"</div>` : ''}
+				${nameMatch && contentMatch && nameMatch !== contentMatch ? '<div class="fontsize90p text_muted">Overwrite and merge target the template with the same name.</div>' : ''}
+			</div>
+		`;
+	};
+
+	const content = document.createElement('div');
+	content.innerHTML = `
+		<div class="flex-container flexFlowColumn flexGap10">
+			<h4>Import Templates</h4>
+			<p class="text_muted fontsize90p">Nothing is written until you click Import. Overwritten and merged templates keep their previous version in their history.</p>
+			<div>${entries.map(renderEntry).join('')}</div>
+		</div>
+	`;
+
+	const popup = new Popup(content, POPUP_TYPE.CONFIRM, '', {
+		okButton: 'Import',
+		cancelButton: 'Cancel',
+		wide: true,
+		allowVerticalScrolling: true,
+		onClosing: (popup) => {
+			if (popup.result === POPUP_RESULT.AFFIRMATIVE) {
+				content.querySelectorAll('.ccpm-import-action').forEach(select => {
+					entries[Number(select.dataset.index)].action = select.value;
+				});
+			}
+			return true;
+		}
+	});
+
+	const result = await popup.show();
+	if (result !== POPUP_RESULT.AFFIRMATIVE) return;
+
+	const importResult = promptTemplateManager.applyImport(entries);
+	const written = importResult.imported + importResult.overwritten + importResult.merged;
+	if (written === 0) {
+		toastr.info('No templates were imported');
 		return;
 	}
 
-	const jsonData = JSON.stringify(templates, null, 2);
+	const summary = [
+		importResult.imported > 0 ? `${importResult.imported} imported` : '',
+		importResult.overwritten > 0 ? `${importResult.overwritten} overwritten` : '',
+		importResult.merged > 0 ? `${importResult.merged} merged` : '',
+		importResult.skipped > 0 ? `${importResult.skipped} skipped` : '',
+	].filter(Boolean).join(', ');
+	toastr.success(`Templates: ${summary}`);
+	await renderPromptTemplateList();
+}
+
+/**
+ * Ask for a template name and prompt order, then import a chat-completion preset as a template
+ * @param {Object} preset - Parsed preset JSON
+ * @param {string} fileName - Name of the imported file
+ */
+async function showImportPresetDialog(preset, fileName) {
+	const orderEntries = preset.prompt_order.filter(entry => Array.isArray(entry?.order));
+	if (orderEntries.length === 0) {
+		toastr.error('Preset has no prompt order');
+		return;
+	}
+
+	// ST keeps the prompt order shared by all characters under character_id 100001
+	const defaultEntry = orderEntries.find(entry => String(entry.character_id) === '100001') || orderEntries[0];
+	const defaultName = fileName.replace(/\.json$/i, '');
+
+	const content = document.createElement('div');
+	content.innerHTML = `
+		<div class="flex-container flexFlowColumn flexGap10">
+			<h4>Import Chat Completion Preset</h4>
+			<p class="text_muted fontsize90p">This file is a SillyTavern preset with ${preset.prompts.length} prompt(s). It will be converted into a template.</p>
+			<div class="flex-container flexFlowColumn">
+				<label for="ccpm-preset-name"><strong>Template Name:</strong></label>
+				<input type="text" id="ccpm-preset-name" class="text_pole" value="${escapeHtml(defaultName)}" required>
+			</div>
+			<div class="flex-container flexFlowColumn">
+				<label for="ccpm-preset-order"><strong>Prompt order to use:</strong></label>
+				<select id="ccpm-preset-order" class="text_pole">
+					${orderEntries.map(entry => `
+						<option value="${escapeHtml(String(entry.character_id))}" ${entry === defaultEntry ? 'selected' : ''}>
+							character_id ${escapeHtml(String(entry.character_id))} (${entry.order.length} entries)
+						</option>
+					`).join('')}
+				</select>
+			</div>
+		</div>
+	`;
+
+	let capturedData = null;
+
+	const popup = new Popup(content, POPUP_TYPE.CONFIRM, '', {
+		okButton: 'Import',
+		cancelButton: 'Cancel',
+		onClosing: (popup) => {
+			if (popup.result === POPUP_RESULT.AFFIRMATIVE) {
+				const name = document.getElementById('ccpm-preset-name')?.value.trim();
+				const characterId = document.getElementById('ccpm-preset-order')?.value;
+
+				if (!name) {
+					toastr.error('Template name is required');
+					return false;
+				}
+
+				capturedData = { name, characterId };
+			}
+			return true;
+		}
+	});
+
+	const result = await popup.show();
+	if (!result || !capturedData) return;
+
+	try {
+		const data = promptTemplateManager.templateDataFromPreset(preset, {
+			...capturedData,
+			description: `Imported from preset ${fileName}`,
+		});
+		await showImportPreviewDialog([data]);
+	} catch (error) {
+		toastr.error('Failed to import preset: ' + error.message);
+	}
+}
+
+/**
+ * Offer JSON data as a file download
+ * @param {*} data - Data to serialize
+ * @param {string} fileName
+ */
+function downloadJson(data, fileName) {
+	const jsonData = JSON.stringify(data, null, 2);
 
 	// Create downloadable file
 	const blob = new Blob([jsonData], { type: 'application/json' });
 	const url = URL.createObjectURL(blob);
 	const a = document.createElement('a');
 	a.href = url;
-	a.download = `ccpm-templates-${new Date().toISOString().split('T')[0]}.json`;
+	a.download = fileName;
 	document.body.appendChild(a);
 	a.click();
 	document.body.removeChild(a);
 	URL.revokeObjectURL(url);
+}
 
+function exportAllTemplates() {
+	const templates = promptTemplateManager.exportTemplates({ includeHistory: false });
+	if (templates.length === 0) {
+		toastr.warning('No templates to export');
+		return;
+	}
+
+	downloadJson(templates, `ccpm-templates-${new Date().toISOString().split('T')[0]}.json`);
 	toastr.success(`Exported ${templates.length} template(s)`);
 }
 
+window.ccpmExportTemplateAsPreset = function(id) {
+	const template = promptTemplateManager.getTemplate(id);
+	const preset = promptTemplateManager.exportTemplateAsPreset(id);
+	if (!template || !preset) {
+		toastr.error('Template not found');
+		return;
+	}
+
+	const fileName = template.name.replace(/[\\/:*?"<>|]+/g, '_').trim() || 'template';
+	downloadJson(preset, `${fileName}.json`);
+	toastr.success(`Exported "${template.name}" as a preset`);
+};
+
+// ===== SLASH COMMANDS =====
+
+/**
+ * Autocomplete values for template arguments
+ * @returns {SlashCommandEnumValue[]}
+ */
+function getTemplateEnumValues() {
+	return promptTemplateManager.listTemplates().map(t => new SlashCommandEnumValue(t.name, t.description || t.id));
+}
+
+/**
+ * Named arguments for choosing how a template is applied
+ * @returns {SlashCommandNamedArgument[]}
+ */
+function getApplyOptionArguments() {
+	return [
+		SlashCommandNamedArgument.fromProps({
+			name: 'mode',
+			description: 'replace all prompts, or merge only the template\'s prompts',
+			typeList: [ARGUMENT_TYPE.STRING],
+			defaultValue: APPLY_MODES.REPLACE,
+			enumList: Object.values(APPLY_MODES),
+		}),
+		SlashCommandNamedArgument.fromProps({
+			name: 'order',
+			description: 'how to combine the prompt order (defaults to markers when merging)',
+			typeList: [ARGUMENT_TYPE.STRING],
+			enumList: Object.values(ORDER_MERGE_MODES),
+		}),
+		SlashCommandNamedArgument.fromProps({
+			name: 'params',
+			description: 'template parameter values as a JSON object; missing parameters use their defaults',
+			typeList: [ARGUMENT_TYPE.DICTIONARY],
+		}),
+	];
+}
+
+/**
+ * Read apply options from slash command arguments
+ * @param {Object} args
+ * @returns {Object|null}
+ */
+function getApplyOptionsFromArguments(args) {
+	let parameterValues;
+	if (args.params) {
+		try {
+			parameterValues = typeof args.params === 'string' ? JSON.parse(args.params) : args.params;
+		} catch {
+			toastr.warning('CCPM: params must be a JSON object, using parameter defaults');
+		}
+	}
+	if (!args.mode && !args.order && !parameterValues) return null;
+	return {
+		...(args.mode || args.order ? {
+			applyMode: Object.values(APPLY_MODES).includes(args.mode) ? args.mode : APPLY_MODES.REPLACE,
+			orderMergeMode: Object.values(ORDER_MERGE_MODES).includes(args.order) ? args.order : undefined,
+		} : {}),
+		...(parameterValues ? { parameterValues } : {}),
+	};
+}
+
+/**
+ * Autocomplete values for tag arguments
+ * @returns {SlashCommandEnumValue[]}
+ */
+function getTagEnumValues() {
+	return (tags || []).map(t => new SlashCommandEnumValue(t.name));
+}
+
+/**
+ * Read the extra lock key (model pattern or tag) from slash command arguments
+ * @param {string} target - Lock target
+ * @param {Object} args
+ * @returns {Object|null} Lock scope, or null if the tag doesn't exist
+ */
+function getLockScopeFromArguments(target, args) {
+	if (target === 'connection' && args.model !== undefined) {
+		return { modelPattern: String(args.model) };
+	}
+	if (target === 'tag' && args.tag) {
+		const name = String(args.tag).toLowerCase();
+		const tag = (tags || []).find(t => t.id === args.tag || t.name.toLowerCase() === name);
+		if (!tag) {
+			toastr.warning(`CCPM: Tag not found: ${args.tag}`);
+			return null;
+		}
+		return { tagId: tag.id };
+	}
+	return {};
+}
+
+/**
+ * Resolve a template from a slash command argument, warning when it cannot be found
+ * @param {string} value - Template name or id
+ * @returns {PromptTemplate|null}
+ */
+function getTemplateFromCommandArgument(value) {
+	const template = promptTemplateManager.findTemplate(value);
+	if (!template) {
+		toastr.warning(`CCPM: Template not found: ${value}`);
+	}
+	return template;
+}
+
+function registerSlashCommands() {
+	SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+		name: 'ccpm-apply',
+		callback: async (args, value) => {
+			const template = getTemplateFromCommandArgument(value);
+			if (!template) return '';
+			const success = await promptTemplateManager.applyTemplate(template.id, getApplyOptionsFromArguments(args) || {});
+			return success ? template.id : '';
+		},
+		returns: 'the id of the applied template, or an empty string on failure',
+		namedArgumentList: getApplyOptionArguments(),
+		unnamedArgumentList: [
+			SlashCommandArgument.fromProps({
+				description: 'template name or id',
+				typeList: [ARGUMENT_TYPE.STRING],
+				isRequired: true,
+				enumProvider: getTemplateEnumValues,
+			}),
+		],
+		helpString: `
+			<div>Applies a CCPM prompt template to the current prompts.</div>
+			<div>Use <code>mode=merge</code> to only overwrite the template's prompts and keep all others.</div>
+			<div>Use <code>params</code> to fill in template parameters.</div>
+			<div><strong>Example:</strong> <pre><code>/ccpm-apply mode=merge order=markers My Template</code></pre></div>
+			<div><strong>Example:</strong> <pre><code>/ccpm-apply params={"style": "terse"} My Template</code></pre></div>
+		`,
+	}));
+
+	SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+		name: 'ccpm-lock',
+		callback: async (args, value) => {
+			const target = String(args.target || '').toLowerCase();
+			if (!LOCK_TARGETS.includes(target)) {
+				toastr.warning(`CCPM: Invalid lock target: ${args.target}`);
+				return 'false';
+			}
+			const template = getTemplateFromCommandArgument(value);
+			if (!template) return 'false';
+			const scope = getLockScopeFromArguments(target, args);
+			if (!scope) return 'false';
+			const success = await promptTemplateManager.lockTemplate(template.id, target, getApplyOptionsFromArguments(args), scope);
+			return String(success);
+		},
+		returns: 'true if the lock was set, false otherwise',
+		namedArgumentList: [
+			SlashCommandNamedArgument.fromProps({
+				name: 'target',
+				description: 'where to lock the template',
+				typeList: [ARGUMENT_TYPE.STRING],
+				isRequired: true,
+				enumList: LOCK_TARGETS,
+			}),
+			SlashCommandNamedArgument.fromProps({
+				name: 'model',
+				description: 'model name pattern for connection locks (* wildcards or /regex/), any model if omitted',
+				typeList: [ARGUMENT_TYPE.STRING],
+			}),
+			SlashCommandNamedArgument.fromProps({
+				name: 'tag',
+				description: 'tag name for tag locks, the character\'s first tag if omitted',
+				typeList: [ARGUMENT_TYPE.STRING],
+				enumProvider: getTagEnumValues,
+			}),
+			...getApplyOptionArguments(),
+		],
+		unnamedArgumentList: [
+			SlashCommandArgument.fromProps({
+				description: 'template name or id',
+				typeList: [ARGUMENT_TYPE.STRING],
+				isRequired: true,
+				enumProvider: getTemplateEnumValues,
+			}),
+		],
+		helpString: `
+			<div>Locks a CCPM prompt template to the current character, chat, group, character tag, persona, chat completion source (optionally limited to a model pattern) or chat completion preset, or sets the global default template (<code>target=default</code>).</div>
+			<div><strong>Example:</strong> <pre><code>/ccpm-lock target=chat My Template</code></pre></div>
+			<div><strong>Example:</strong> <pre><code>/ccpm-lock target=connection model=claude-3-5* Claude Template</code></pre></div>
+			<div><strong>Example:</strong> <pre><code>/ccpm-lock target=tag tag=horror Horror Template</code></pre></div>
+		`,
+	}));
+
+	SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+		name: 'ccpm-unlock',
+		callback: async (args) => {
+			const target = String(args.target || '').toLowerCase();
+			if (!LOCK_TARGETS.includes(target)) {
+				toastr.warning(`CCPM: Invalid lock target: ${args.target}`);
+				return 'false';
+			}
+			const scope = getLockScopeFromArguments(target, args);
+			if (!scope) return 'false';
+			const success = await promptTemplateManager.clearTemplateLock(target, scope);
+			return String(success);
+		},
+		returns: 'true if a lock was cleared, false otherwise',
+		namedArgumentList: [
+			SlashCommandNamedArgument.fromProps({
+				name: 'target',
+				description: 'which lock to clear',
+				typeList: [ARGUMENT_TYPE.STRING],
+				isRequired: true,
+				enumList: LOCK_TARGETS,
+			}),
+			SlashCommandNamedArgument.fromProps({
+				name: 'model',
+				description: 'model name pattern of the connection lock to clear, the matching one if omitted',
+				typeList: [ARGUMENT_TYPE.STRING],
+			}),
+			SlashCommandNamedArgument.fromProps({
+				name: 'tag',
+				description: 'tag name of the tag lock to clear, the matching one if omitted',
+				typeList: [ARGUMENT_TYPE.STRING],
+				enumProvider: getTagEnumValues,
+			}),
+		],
+		helpString: `
+			<div>Clears the CCPM template lock for the current character, chat, group, character tag, persona, chat completion source or chat completion preset, or clears the global default template.</div>
+			<div><strong>Example:</strong> <pre><code>/ccpm-unlock target=character</code></pre></div>
+		`,
+	}));
+
+	SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+		name: 'ccpm-list',
+		callback: (args) => {
+			const field = args.field === 'id' ? 'id' : 'name';
+			return JSON.stringify(promptTemplateManager.listTemplates().map(t => t[field]));
+		},
+		returns: 'JSON array of template names or ids',
+		namedArgumentList: [
+			SlashCommandNamedArgument.fromProps({
+				name: 'field',
+				description: 'which template field to list',
+				typeList: [ARGUMENT_TYPE.STRING],
+				defaultValue: 'name',
+				enumList: ['name', 'id'],
+			}),
+		],
+		helpString: `
+			<div>Lists all CCPM prompt templates as a JSON array.</div>
+			<div><strong>Example:</strong> <pre><code>/ccpm-list field=id | /echo</code></pre></div>
+		`,
+	}));
+
+	SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+		name: 'ccpm-active',
+		callback: async (args) => {
+			const effectiveLock = await promptTemplateManager.getEffectiveLock();
+			if (!effectiveLock?.templateId) return '';
+			if (args.field === 'source') return effectiveLock.source;
+			if (args.field === 'id') return effectiveLock.templateId;
+			return promptTemplateManager.getTemplate(effectiveLock.templateId)?.name || '';
+		},
+		returns: 'the locked template for the current context, or an empty string if none',
+		namedArgumentList: [
+			SlashCommandNamedArgument.fromProps({
+				name: 'field',
+				description: 'what to return for the effective lock',
+				typeList: [ARGUMENT_TYPE.STRING],
+				defaultValue: 'name',
+				enumList: ['name', 'id', 'source'],
+			}),
+		],
+		helpString: `
+			<div>Returns the CCPM template locked for the current context.</div>
+			<div><strong>Example:</strong> <pre><code>/ccpm-active field=source | /echo</code></pre></div>
+		`,
+	}));
+}
+
 // Extension initialization - wait for SillyTavern to be ready
 function initializeExtension() {
+	registerSlashCommands();
 	// Extension is ready, manager will handle UI injection via events
 	console.log('CCPM: Extension initialized');
 }